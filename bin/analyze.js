@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+/**
+ * Security Log Analyzer CLI
+ * Runs the same checks as the page on exports from the command line
+ *
+ * Usage: node bin/analyze.js [--json] [--rules rules.json] export-*.json.gz ...
+ * Exit code: 0 when every check passed, 1 when any check failed,
+ * 2 on usage or read errors
+ * Requires Node.js 20.19+ (ES modules without package.json)
+ */
+
+import { readFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { basename } from 'node:path';
+import { readExport, analyzeLogs } from '../js/analyzer.js';
+import { getSeverityLabel, mergeRules, parseRules } from '../js/rules.js';
+import { buildReport } from '../js/report.js';
+import { formatDateTime } from '../js/utils.js';
+import { t, setLocale, detectLocale } from '../js/i18n.js';
+
+// Язык берётся из окружения, как у остальных консольных утилит
+setLocale(detectLocale([process.env.LC_ALL, process.env.LC_MESSAGES, process.env.LANG].filter(Boolean)), { persist: false });
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {{json: boolean, rulesPath: string|null, files: Array<string>, help: boolean}}
+ */
+function parseArgs(argv) {
+    const options = { json: false, rulesPath: null, files: [], help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--rules') {
+            options.rulesPath = argv[++i];
+            if (!options.rulesPath) throw new Error(t('cli.rulesPath'));
+        } else if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(t('cli.unknownOption', { option: arg }));
+        } else {
+            options.files.push(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Read and analyse single export
+ * @param {string} path - Export file path
+ * @param {Array} rules - Effective rules
+ * @returns {Promise<Object>} - Report from buildReport
+ */
+async function analyzeFile(path, rules) {
+    const bytes = new Uint8Array(await readFile(path));
+    const { events, formats } = await readExport(bytes);
+
+    if (events.length === 0) {
+        throw new Error(t('cli.empty', { path }));
+    }
+
+    const source = {
+        fileName: basename(path),
+        fileSize: bytes.length,
+        formats,
+        sha256: createHash('sha256').update(bytes).digest('hex')
+    };
+
+    return buildReport(analyzeLogs(events, rules), source);
+}
+
+/**
+ * Format report as plain-text table
+ * @param {Object} report - Report from buildReport
+ * @returns {string}
+ */
+function reportToTable(report) {
+    const lines = [];
+    const nameWidth = Math.max(...report.checks.map(check => check.name.length));
+    const severityWidth = Math.max(...['high', 'medium', 'low'].map(severity => getSeverityLabel(severity).length));
+
+    const fields = [
+        [t('report.email'), report.account.originalEmail || t('common.noData')],
+        [t('report.created'), report.account.createdAt ? formatDateTime(report.account.createdAt) : t('common.noData')],
+        [t('report.events'), `${report.totalEvents} (${report.source.formats.join(', ')})`],
+        ['SHA-256', report.source.sha256]
+    ];
+    const labelWidth = Math.max(...fields.map(([label]) => label.length)) + 1;
+
+    lines.push(`${report.source.fileName} — ${report.account.username}`);
+    for (const [label, value] of fields) {
+        lines.push(`  ${`${label}:`.padEnd(labelWidth)}  ${value}`);
+    }
+    lines.push('');
+
+    for (const check of report.checks) {
+        lines.push(`  ${check.passed ? '✔' : '✘'}  ${check.name.padEnd(nameWidth)}  ${getSeverityLabel(check.severity).padEnd(severityWidth)}  ${check.count}`);
+        if (!check.passed && check.message) {
+            lines.push(`     ${check.message}`);
+        }
+    }
+
+    if (report.locations.alerts.length > 0) {
+        lines.push('');
+        for (const alert of report.locations.alerts) {
+            lines.push(`  !  ${getSeverityLabel(alert.severity)}: ${alert.message} · ${formatDateTime(alert.time)}`);
+        }
+    }
+
+    lines.push('');
+    lines.push(`  ${t('report.result')}: ${t(report.allPassed ? 'logs.unchanged' : 'logs.changed')}`);
+
+    return lines.join('\n');
+}
+
+/**
+ * Run CLI
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(argv) {
+    const options = parseArgs(argv);
+
+    if (options.help) {
+        console.log(t('cli.usage'));
+        return 0;
+    }
+    if (options.files.length === 0) {
+        console.error(t('cli.usage'));
+        return 2;
+    }
+
+    const userRules = options.rulesPath ? parseRules(await readFile(options.rulesPath, 'utf8')) : [];
+    const rules = mergeRules(userRules);
+
+    const reports = [];
+    for (const path of options.files) {
+        reports.push(await analyzeFile(path, rules));
+    }
+
+    if (options.json) {
+        const output = reports.length === 1 ? reports[0] : reports;
+        console.log(JSON.stringify(output, null, 2));
+    } else {
+        console.log(reports.map(reportToTable).join('\n\n'));
+    }
+
+    return reports.every(report => report.allPassed) ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then(
+    (code) => {
+        process.exitCode = code;
+    },
+    (error) => {
+        console.error(t('cli.error', { error: error.message }));
+        process.exitCode = 2;
+    }
+);
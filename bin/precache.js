@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Precache Manifest
+ * Writes content hashes of the page files into sw.js. Any changed file
+ * changes sw.js, which is what makes browsers install the new version
+ * of the page as a whole
+ *
+ * Usage: node bin/precache.js [--check]
+ * Run before every deploy; --check only reports whether sw.js is up to date
+ * Exit code: 0 when sw.js is up to date (or was updated), 1 when --check
+ * found it stale, 2 on read errors
+ */
+
+import { readFile, readdir, writeFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const WORKER_PATH = join(ROOT, 'sw.js');
+
+/**
+ * Markers around the generated part of sw.js
+ */
+const START_MARKER = '// precache:start';
+const END_MARKER = '// precache:end';
+
+/**
+ * Single files and directories (with extensions) the page consists of
+ */
+const FILES = ['index.html', 'manifest.webmanifest', 'css/styles.css'];
+const DIRECTORIES = [
+    { path: 'icon', extensions: ['.webp', '.svg'] },
+    { path: 'js', extensions: ['.js'] },
+    { path: 'js/locales', extensions: ['.js'] }
+];
+
+/**
+ * Hex SHA-256 prefix, long enough to tell versions apart
+ * @param {string|Buffer} data - Content
+ * @returns {string}
+ */
+function hashPrefix(data) {
+    return createHash('sha256').update(data).digest('hex').slice(0, 16);
+}
+
+/**
+ * List page files relative to the root, sorted
+ * @returns {Promise<Array<string>>}
+ */
+async function listFiles() {
+    const files = [...FILES];
+    for (const { path, extensions } of DIRECTORIES) {
+        const entries = await readdir(join(ROOT, path), { withFileTypes: true });
+        for (const entry of entries) {
+            if (entry.isFile() && extensions.some(extension => entry.name.endsWith(extension))) {
+                files.push(`${path}/${entry.name}`);
+            }
+        }
+    }
+    return files.sort();
+}
+
+/**
+ * Build generated part of sw.js
+ * @returns {Promise<string>}
+ */
+async function buildManifest() {
+    const entries = [];
+    for (const file of await listFiles()) {
+        entries.push([`./${file}`, hashPrefix(await readFile(join(ROOT, file)))]);
+    }
+    const version = hashPrefix(entries.map(([url, hash]) => `${url} ${hash}`).join('\n'));
+
+    return [
+        `${START_MARKER} (generated by bin/precache.js, do not edit)`,
+        '',
+        '/**',
+        ' * Version of the precached files, changes whenever any of them changes',
+        ' */',
+        `const PRECACHE_VERSION = '${version}';`,
+        '',
+        '/**',
+        ' * Everything the page needs, relative to the worker, with SHA-256 prefixes of the contents',
+        ' */',
+        'const PRECACHE = {',
+        entries.map(([url, hash]) => `    '${url}': '${hash}'`).join(',\n'),
+        '};',
+        '',
+        END_MARKER
+    ].join('\n');
+}
+
+/**
+ * Entry point
+ */
+async function main() {
+    const check = process.argv.includes('--check');
+    const worker = await readFile(WORKER_PATH, 'utf8');
+
+    const start = worker.indexOf(START_MARKER);
+    const end = worker.indexOf(END_MARKER);
+    if (start === -1 || end < start) {
+        throw new Error(`sw.js has no ${START_MARKER} … ${END_MARKER} block`);
+    }
+
+    const updated = worker.slice(0, start) + await buildManifest() + worker.slice(end + END_MARKER.length);
+    if (updated === worker) {
+        console.log('sw.js is up to date');
+        return;
+    }
+    if (check) {
+        console.error('sw.js is stale, run: node bin/precache.js');
+        process.exitCode = 1;
+        return;
+    }
+
+    await writeFile(WORKER_PATH, updated);
+    console.log('sw.js updated');
+}
+
+main().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 2;
+});
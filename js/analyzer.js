@@ -0,0 +1,67 @@
+/**
+ * Security Log Analysis
+ * DOM-free core shared by the page and the Node CLI (bin/analyze.js):
+ * reads an export of any supported format and runs the account checks
+ */
+
+import { parseExportBytes, normalizeEvent } from './formats.js';
+import { analyzeLocations } from './locations.js';
+import { mergeRules, runRules } from './rules.js';
+
+/**
+ * Read export held in memory
+ * Unpacks gzip and zip, parses NDJSON, JSON or CSV and normalises events
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Promise<{events: Array, formats: Array<string>}>}
+ */
+export async function readExport(bytes) {
+    const events = [];
+    const formats = await parseExportBytes(bytes, (record) => {
+        const event = normalizeEvent(record);
+        if (event) events.push(event);
+    });
+    return { events, formats };
+}
+
+/**
+ * Analyze logs and check account integrity
+ * @param {Array} events - Parsed events
+ * @param {Array} [rules] - Effective rules, built-in rules by default
+ * @returns {Object} - Analysis results with findings
+ */
+export function analyzeLogs(events, rules = mergeRules([])) {
+    const sorted = [...events].sort((a, b) => a['@timestamp'] - b['@timestamp']);
+    
+    // Дата создания аккаунта
+    const createEvent = sorted.find(e => e.action === 'user.create');
+    
+    // Почта из события создания аккаунта
+    const originalEmail = createEvent?.email || null;
+    
+    // Результаты правил
+    const findings = runRules(rules, sorted);
+    
+    // Результаты проверок по id правила
+    const checks = Object.fromEntries(findings.map(finding => [finding.ruleId, finding.passed]));
+    
+    // Все проверки пройдены
+    checks.allPassed = findings.every(finding => finding.passed);
+    
+    // События, из-за которых проверка не пройдена
+    const evidence = Object.fromEntries(findings.map(finding => [finding.ruleId, finding.events]));
+    
+    // Страны, IP и клиенты
+    const locations = analyzeLocations(sorted);
+    
+    return {
+        accountCreated: createEvent ? new Date(createEvent['@timestamp']) : null,
+        username: createEvent?.actor || events[0]?.actor || null,
+        originalEmail,
+        checks,
+        findings,
+        evidence,
+        locations,
+        events: sorted,
+        totalEvents: events.length
+    };
+}
@@ -4,18 +4,68 @@
  */
 
 import { Icons } from './icons.js';
-import { escapeHtml, copyToClipboard } from './utils.js';
+import { escapeHtml, formatDateTime, copyToClipboard, downloadFile, showToast, CLIPBOARD_CLEAR_OPTIONS, getClipboardClearDelay, setClipboardClearDelay } from './utils.js';
 import { initLogsPanel } from './logs.js';
-import { generateTOTP, getTimeRemaining, generateOTPAuthURL } from './totp.js';
+import { generateHOTP, generateOTPAuthURL, parseOTPAuthURL, resolveOTPParams, formatSecret, verifyTOTP } from './totp.js';
+import { renderQRCodeSVG } from './qrcode.js';
+import { scanQRImage } from './qrdecode.js';
+import { generateMigrationURL, parseMigrationURL } from './migration.js';
+import { BACKUP_FORMATS, serializeBackup } from './backups.js';
+import { isSealedFragment, sealFragment, unsealFragment, createSealedLink } from './seal.js';
+import { decodeCredentialFragment, parseCredentialString, serializeCredentials, emptyCredentials } from './credentials.js';
+import { SCRUB_MODES, BURN_OPTIONS, getScrubMode, setScrubMode, getBurnMinutes, setBurnMinutes, scrubFragment, saveSessionCredentials, loadSessionCredentials, clearSessionCredentials, loadBurnDeadline, saveBurnDeadline } from './scrub.js';
+import { inspectToken } from './tokens.js';
+import { startTOTPScheduler } from './scheduler.js';
+import { loadHOTPCounter, saveHOTPCounter } from './hotp.js';
+import { registerServiceWorker } from './pwa.js';
+import { RECOVERY_FILE_NAME, loadUsedCodes, saveUsedCodes, formatRecoveryCodes } from './recovery.js';
+import { LOCALES, t, getLocale, getTimeZone, getSystemTimeZone, setLocale, setTimeZone, onLocaleChange, applyTranslations } from './i18n.js';
 
 // Store parsed credentials globally
 let credentials = null;
+let credentialsError = null;
+
+/**
+ * Credential fields masked until revealed
+ */
+const SENSITIVE_FIELDS = ['password', 'twofa', 'token'];
+
+/**
+ * Placeholder for a masked value, same for every value so length doesn't leak
+ */
+const MASK = '•'.repeat(12);
+
+// Sensitive fields revealed by the user, kept across re-renders
+const revealedFields = new Set();
+
+// Recovery codes marked as used and the account they were loaded for
+let usedRecoveryCodes = new Set();
+let recoveryAccount = null;
+
+// Accounts of an imported migration payload waiting for the user to pick one
+let importCandidates = [];
+
+// Wipe deadline of the loaded credentials (ms) and its timer
+let burnAt = null;
+let burnTimer = null;
+
+// Credentials were wiped by the burn timer
+let credentialsBurned = false;
+
+// Fragment the credentials were opened from, keys their burn deadline in this tab
+let linkFragment = null;
+
+// Sealed link the credentials were unlocked from: { fragment, passphrase, serialized }
+// sessionStorage gets the sealed fragment, sealed again when the credentials change
+let sealedLink = null;
 
 /**
  * Parse credentials from URL hash
- * Expected format: base64(email:password:2fa:token)
+ * Supports schema v1 (base64url JSON) and legacy base64(email:password:2fa:token)
+ * Sealed fragments (enc1.…) are handled separately, see initCredentials
  * 
- * @returns {Object|null} - Parsed credentials or null if invalid
+ * @returns {Object|null} - Parsed credentials or null if hash is empty
+ * @throws {Error} - With user-facing message if the hash is invalid
  */
 function parseCredentials() {
     const hash = window.location.hash.substring(1);
@@ -24,24 +74,7 @@ function parseCredentials() {
         return null;
     }
 
-    try {
-        const decoded = atob(hash);
-        const parts = decoded.split(':');
-        
-        if (parts.length < 2) {
-            return null;
-        }
-
-        return {
-            email: parts[0] || '',
-            password: parts[1] || '',
-            twofa: parts[2] || '',
-            token: parts[3] || ''
-        };
-    } catch (error) {
-        console.error('Failed to parse credentials:', error);
-        return null;
-    }
+    return decodeCredentialFragment(hash);
 }
 
 /**
@@ -52,6 +85,7 @@ function parseCredentials() {
 function getCredentialIcon(type) {
     const iconMap = {
         email: Icons.email,
+        username: Icons.user,
         password: Icons.key,
         twofa: Icons.shield,
         token: Icons.token
@@ -66,69 +100,212 @@ function getCredentialIcon(type) {
 function renderCredentials() {
     const container = document.getElementById('credentialsContainer');
 
+    // Codes of the previous render must not keep ticking
+    stopTOTP();
+
     if (!credentials) {
-        renderNoCredentials(container);
+        renderNoCredentials(container, credentialsError);
         return;
     }
 
     const credentialItems = [
-        { key: 'email', label: 'Почта', icon: 'email', value: credentials.email },
-        { key: 'password', label: 'Пароль', icon: 'password', value: credentials.password },
-        { key: 'twofa', label: '2FA Secret', icon: 'twofa', value: credentials.twofa },
-        { key: 'token', label: 'Personal Access Token', icon: 'token', value: credentials.token }
+        { key: 'username', label: t('credentials.username'), icon: 'username', value: credentials.username },
+        { key: 'email', label: t('credentials.email'), icon: 'email', value: credentials.email },
+        { key: 'password', label: t('credentials.password'), icon: 'password', value: credentials.password },
+        { key: 'twofa', label: t('credentials.twofa'), icon: 'twofa', value: credentials.twofa },
+        { key: 'token', label: t('credentials.token'), icon: 'token', value: credentials.token }
     ].filter(item => item.value);
+    
+    // Check if we have 2FA secret for TOTP; codes from a broken secret would never work
+    const otp = resolveOTPParams(credentials.twofa, credentials.email || credentials.username);
+    const twofaProblems = credentials.twofa ? (otp ? otp.problems : [t('secret.uri')]) : [];
+    const hasTwoFA = Boolean(otp) && twofaProblems.length === 0;
+    const isHOTP = hasTwoFA && otp.type === 'hotp';
 
-    const itemsHtml = credentialItems.map(item => `
-        <div class="credential-item" onclick="window.app.handleItemClick(event, '${escapeHtml(item.value)}')">
+    const itemsHtml = credentialItems.map(item => {
+        const sensitive = SENSITIVE_FIELDS.includes(item.key);
+        const masked = sensitive && !revealedFields.has(item.key);
+        
+        return `
+        <div class="credential-item${masked ? ' masked' : ''}" data-credential="${item.key}">
             <div class="credential-icon ${item.icon}">
                 ${getCredentialIcon(item.icon)}
             </div>
             <div class="credential-info">
-                <div class="credential-label">${item.label}</div>
-                <div class="credential-value">${escapeHtml(item.value)}</div>
+                <div class="credential-label">${escapeHtml(item.label)}</div>
+                <div class="credential-value">${masked ? MASK : escapeHtml(getCredentialValue(item.key, true))}</div>
+                ${item.key === 'token' ? renderTokenInfo(inspectToken(item.value)) : ''}
+                ${item.key === 'twofa' ? renderProblems(twofaProblems) : ''}
             </div>
-            <button class="copy-btn" onclick="event.stopPropagation(); window.app.copyToClipboard('${escapeHtml(item.value)}', this)">
+            ${sensitive ? `
+            <button type="button" class="reveal-btn" data-reveal="${item.key}" aria-pressed="${!masked}" aria-label="${escapeHtml(t(masked ? 'credentials.reveal' : 'credentials.hide'))}">
+                ${masked ? Icons.eye : Icons.eyeClosed}
+            </button>
+            ` : ''}
+            <button type="button" class="copy-btn" aria-label="${escapeHtml(t('common.copy'))}">
                 ${Icons.copy}
             </button>
         </div>
-    `).join('');
+        `;
+    }).join('');
+    
+    const sensitiveKeys = credentialItems.filter(item => SENSITIVE_FIELDS.includes(item.key)).map(item => item.key);
+    const allRevealed = sensitiveKeys.every(key => revealedFields.has(key));
+    const clearDelay = getClipboardClearDelay();
+    
+    const toolbarHtml = `
+        <div class="credentials-toolbar">
+            ${sensitiveKeys.length > 0 ? `
+            <button type="button" class="reveal-all-btn" id="revealAllBtn" aria-pressed="${allRevealed}">
+                ${allRevealed ? Icons.eyeClosed : Icons.eye}
+                <span>${escapeHtml(t(allRevealed ? 'credentials.hideAll' : 'credentials.revealAll'))}</span>
+            </button>
+            ` : ''}
+            <label class="clipboard-setting">
+                <span>${escapeHtml(t('clipboard.setting'))}</span>
+                <select id="clipboardClearSelect">
+                    ${CLIPBOARD_CLEAR_OPTIONS.map(seconds => `
+                        <option value="${seconds}"${seconds === clearDelay ? ' selected' : ''}>${escapeHtml(seconds > 0 ? t('clipboard.after', { count: seconds }) : t('clipboard.never'))}</option>
+                    `).join('')}
+                </select>
+            </label>
+        </div>
+    `;
+    
+    const scrubMode = getScrubMode();
+    const burnMinutes = getBurnMinutes();
+    
+    const privacyHtml = `
+        <div class="privacy-settings">
+            <label class="privacy-setting">
+                <span>${escapeHtml(t('scrub.setting'))}</span>
+                <select id="scrubModeSelect">
+                    ${SCRUB_MODES.map(mode => `
+                        <option value="${mode}"${mode === scrubMode ? ' selected' : ''}>${escapeHtml(t(`scrub.${mode}`))}</option>
+                    `).join('')}
+                </select>
+            </label>
+            <label class="privacy-setting">
+                <span>${escapeHtml(t('burn.setting'))}</span>
+                <select id="burnSelect">
+                    ${BURN_OPTIONS.map(minutes => `
+                        <option value="${minutes}"${minutes === burnMinutes ? ' selected' : ''}>${escapeHtml(minutes > 0 ? t('burn.after', { count: minutes }) : t('burn.never'))}</option>
+                    `).join('')}
+                </select>
+            </label>
+            <span class="burn-status" id="burnStatus">${escapeHtml(getBurnStatusText())}</span>
+            <p class="privacy-hint">${escapeHtml(t('scrub.hint'))}</p>
+        </div>
+    `;
+
+    // Recovery codes and notes (schema v1 only)
+    const recoveryHtml = credentials.recoveryCodes.length > 0 ? `
+        <div class="recovery-section">
+            <div class="recovery-header">
+                <h3>${escapeHtml(t('credentials.recoveryCodes'))}</h3>
+                <button type="button" class="recovery-download-btn" id="recoveryDownloadBtn">
+                    ${Icons.download}
+                    <span>${escapeHtml(t('recovery.download'))}</span>
+                </button>
+            </div>
+            <p class="recovery-hint">${escapeHtml(t('recovery.hint'))}</p>
+            <ul class="recovery-codes">
+                ${credentials.recoveryCodes.map((code, index) => `
+                <li class="recovery-code${usedRecoveryCodes.has(code) ? ' used' : ''}">
+                    <label>
+                        <input type="checkbox" data-recovery-code="${index}"${usedRecoveryCodes.has(code) ? ' checked' : ''}>
+                        <code>${escapeHtml(code)}</code>
+                    </label>
+                </li>
+                `).join('')}
+            </ul>
+            <div class="recovery-count" id="recoveryCount">${escapeHtml(getRecoveryCountText())}</div>
+        </div>
+    ` : '';
+    
+    const notesHtml = credentials.notes ? `
+        <div class="notes-section">
+            <h3>${escapeHtml(t('credentials.notes'))}</h3>
+            <p>${escapeHtml(credentials.notes)}</p>
+        </div>
+    ` : '';
 
-    // Check if we have 2FA secret for TOTP
-    const hasTwoFA = credentials.twofa && credentials.twofa.length > 0;
+    const totpErrorHtml = twofaProblems.length > 0 ? `
+        <div class="totp-section">
+            <div class="totp-display totp-error">
+                ${Icons.warning}
+                <span>${escapeHtml(t('totp.invalidSecret'))}</span>
+            </div>
+        </div>
+    ` : '';
+    
     const totpHtml = hasTwoFA ? `
         <div class="totp-section">
-            <p class="totp-hint">Нажмите, чтобы скопировать</p>
+            <p class="totp-hint">${escapeHtml(t('totp.copyHint'))}</p>
             <div class="totp-display" id="totpDisplay">
-                <div class="totp-code" id="totpCode">--- ---</div>
+                <div class="totp-code" id="totpCode">${formatCode('-'.repeat(otp.digits))}</div>
                 <button class="totp-copy-icon" id="copyTotpBtn">
                     ${Icons.copy}
                 </button>
             </div>
+            ${isHOTP ? `
+            <button class="hotp-next-btn" id="hotpNextBtn">${escapeHtml(t('totp.next'))}</button>
+            ` : `
             <div class="totp-progress-bar">
                 <div class="totp-progress" id="totpProgress"></div>
             </div>
+            <div class="totp-adjacent">
+                <span>${escapeHtml(t('totp.previous'))} <code id="totpPrevious"></code></span>
+                <span>${escapeHtml(t('totp.following'))} <code id="totpFollowing"></code></span>
+            </div>
+            <div class="totp-tools">
+                <label class="totp-field">
+                    <span>${escapeHtml(t('totp.offset'))}</span>
+                    <input type="number" class="totp-input" id="totpOffset" step="1" value="${clockOffset}">
+                </label>
+                <label class="totp-field">
+                    <span>${escapeHtml(t('totp.verify'))}</span>
+                    <input type="text" class="totp-input" id="totpVerify" inputmode="numeric" autocomplete="off" maxlength="${otp.digits + 1}" placeholder="${'0'.repeat(otp.digits)}">
+                </label>
+            </div>
+            <div class="totp-verify-result" id="totpVerifyResult" aria-live="polite"></div>
+            `}
         </div>
         
         <div class="qr-section">
             <div class="qr-header">
-                <h3>QR-код для приложения</h3>
-                <p>Сканируйте в Яндекс.Ключ или Google Authenticator</p>
+                <h3>${escapeHtml(t('qr.title'))}</h3>
+                <p id="qrHint"></p>
+            </div>
+            <div class="qr-formats" role="group">
+                <button type="button" class="qr-format-btn" data-qr-format="otpauth">${escapeHtml(t('qr.formatStandard'))}</button>
+                <button type="button" class="qr-format-btn" data-qr-format="migration">${escapeHtml(t('qr.formatMigration'))}</button>
             </div>
-            <div class="qr-code" id="qrCode"></div>
+            <div class="qr-code${revealedFields.has('twofa') ? '' : ' concealed'}" id="qrCode" data-reveal="twofa" title="${escapeHtml(t('qr.reveal'))}"></div>
+            <div class="qr-export">
+                <span>${escapeHtml(t('export.title'))}</span>
+                ${Object.entries(BACKUP_FORMATS).map(([key, format]) => `
+                <button type="button" class="qr-export-btn" data-backup="${key}">
+                    ${Icons.download}
+                    <span>${escapeHtml(format.name)}</span>
+                </button>
+                `).join('')}
+            </div>
+            <p class="qr-export-hint">${escapeHtml(t('export.hint'))}</p>
         </div>
     ` : '';
 
     // App store links HTML
-    const appLinksHtml = hasTwoFA ? `
+    const appLinksHtml = credentials.twofa ? `
         <div class="auth-apps-section">
-            <h3>Скачать приложение для 2FA</h3>
+            <h3>${escapeHtml(t('apps.title'))}</h3>
             <div class="app-cards">
                 <div class="app-card">
                     <div class="app-card-header">
-                        <img src="icon/yandex.key.webp" alt="Яндекс.Ключ" class="app-logo">
+                        <img src="icon/yandex.key.webp" alt="${escapeHtml(t('apps.yandexName'))}" class="app-logo">
                         <div class="app-title">
-                            <span class="app-name">Яндекс.Ключ</span>
-                            <span class="app-desc">Менеджер паролей и 2FA</span>
+                            <span class="app-name">${escapeHtml(t('apps.yandexName'))}</span>
+                            <span class="app-desc">${escapeHtml(t('apps.yandexDescription'))}</span>
                         </div>
                     </div>
                     <div class="app-links">
@@ -145,7 +322,7 @@ function renderCredentials() {
                         <img src="icon/google.auth.webp" alt="Google Authenticator" class="app-logo">
                         <div class="app-title">
                             <span class="app-name">Google Authenticator</span>
-                            <span class="app-desc">2FA от Google</span>
+                            <span class="app-desc">${escapeHtml(t('apps.googleDescription'))}</span>
                         </div>
                     </div>
                     <div class="app-links">
@@ -163,62 +340,830 @@ function renderCredentials() {
 
     container.innerHTML = `
         <div class="credentials-card">
+            ${toolbarHtml}
+            ${privacyHtml}
             <div class="credentials-body">
                 ${itemsHtml}
             </div>
         </div>
+        ${recoveryHtml}
+        ${notesHtml}
+        ${totpErrorHtml}
         ${totpHtml}
+        ${renderImportSection()}
+        ${renderSealSection()}
         ${appLinksHtml}
     `;
     
     // Initialize TOTP if we have 2FA secret
     if (hasTwoFA) {
-        initTOTP(credentials.twofa, credentials.email);
+        initTOTP(otp);
+    }
+    
+    if (credentials.recoveryCodes.length > 0) {
+        loadRecoveryState();
     }
 }
 
 /**
- * Render error state when no credentials provided
+ * Get account the recovery marks are stored for
+ * @returns {string}
+ */
+function getAccountName() {
+    return credentials.email || credentials.username;
+}
+
+/**
+ * Load used marks of recovery codes when the account changed
+ */
+async function loadRecoveryState() {
+    const account = getAccountName();
+    if (account === recoveryAccount) return;
+    
+    const used = await loadUsedCodes(account, credentials.recoveryCodes);
+    
+    // Пока читали, могли открыть другую ссылку
+    if (!credentials || getAccountName() !== account) return;
+    
+    recoveryAccount = account;
+    usedRecoveryCodes = used;
+    updateRecoveryList();
+}
+
+/**
+ * Get remaining recovery codes text
+ * @returns {string}
+ */
+function getRecoveryCountText() {
+    const total = credentials.recoveryCodes.length;
+    const used = credentials.recoveryCodes.filter(code => usedRecoveryCodes.has(code)).length;
+    return t('recovery.remaining', { count: total - used, total });
+}
+
+/**
+ * Sync rendered checklist with the used marks
+ */
+function updateRecoveryList() {
+    document.querySelectorAll('[data-recovery-code]').forEach(checkbox => {
+        const used = usedRecoveryCodes.has(credentials.recoveryCodes[checkbox.dataset.recoveryCode]);
+        checkbox.checked = used;
+        checkbox.closest('.recovery-code').classList.toggle('used', used);
+    });
+    
+    const countEl = document.getElementById('recoveryCount');
+    if (countEl) {
+        countEl.textContent = getRecoveryCountText();
+    }
+}
+
+/**
+ * Mark recovery code as used or unused and save the marks
+ * @param {HTMLInputElement} checkbox - Checkbox of the code
+ */
+function toggleRecoveryCode(checkbox) {
+    const code = credentials.recoveryCodes[checkbox.dataset.recoveryCode];
+    if (checkbox.checked) {
+        usedRecoveryCodes.add(code);
+    } else {
+        usedRecoveryCodes.delete(code);
+    }
+    updateRecoveryList();
+    saveUsedCodes(getAccountName(), usedRecoveryCodes);
+}
+
+/**
+ * Render token type and validation result under the token value
+ * @param {Object} info - Result of inspectToken
+ * @returns {string} - HTML string
+ */
+function renderTokenInfo(info) {
+    const status = info.checksum ? t('tokens.checksumValid') : t('tokens.formatValid');
+    
+    return `
+        <div class="token-info ${info.valid ? 'valid' : 'invalid'}">
+            ${info.valid ? Icons.check : Icons.warning}
+            <span>${escapeHtml(t(`tokens.type.${info.type}`))}${info.valid ? ` · ${escapeHtml(status)}` : ''}</span>
+        </div>
+        ${renderProblems(info.problems)}
+    `;
+}
+
+/**
+ * Render validation problems of a credential value
+ * @param {Array<string>} problems - Messages
+ * @returns {string} - HTML string
+ */
+function renderProblems(problems) {
+    return problems.map(problem => `<div class="credential-problem">${escapeHtml(problem)}</div>`).join('');
+}
+
+/**
+ * Render error state when no credentials provided or they are invalid
  * @param {HTMLElement} container - Container to render into
+ * @param {string|null} [message] - Validation error, if the hash was present but invalid
  */
-function renderNoCredentials(container) {
+function renderNoCredentials(container, message = null) {
+    const title = credentialsBurned ? 'burn.title' : message ? 'credentials.invalidTitle' : 'credentials.missingTitle';
+    const hint = credentialsBurned ? t('burn.hint') : message || t('credentials.missingHint');
+    
     container.innerHTML = `
         <div class="error-container">
             <div class="error-icon">${Icons.error}</div>
-            <h2>Данные не найдены</h2>
-            <p>Добавьте данные в формате base64 после знака # в URL</p>
+            <h2>${escapeHtml(t(title))}</h2>
+            <p>${escapeHtml(hint)}</p>
         </div>
+        ${renderImportSection()}
+    `;
+}
+
+/**
+ * Render 2FA import: QR image or pasted otpauth / otpauth-migration link
+ * Images are decoded on this device, see qrdecode.js
+ * @returns {string} - HTML
+ */
+function renderImportSection() {
+    return `
+        <div class="import-section">
+            <h3>${escapeHtml(t('import.title'))}</h3>
+            <p class="import-hint">${escapeHtml(t('import.hint'))}</p>
+            <div class="import-controls">
+                <button type="button" class="import-btn" id="importImageBtn">
+                    ${Icons.upload}
+                    <span>${escapeHtml(t('import.chooseImage'))}</span>
+                </button>
+                <input type="file" id="importImageInput" accept="image/*" hidden>
+                <input type="text" class="import-input" id="importLinkInput" autocomplete="off" spellcheck="false" placeholder="${escapeHtml(t('import.linkPlaceholder'))}" aria-label="${escapeHtml(t('import.linkPlaceholder'))}">
+            </div>
+            <div class="import-result" id="importResult" aria-live="polite"></div>
+        </div>
+    `;
+}
+
+/**
+ * Render form that seals the credentials into a passphrase-protected link
+ * @returns {string} - HTML string
+ */
+function renderSealSection() {
+    return `
+        <form class="seal-section" id="sealForm">
+            <h3>${escapeHtml(t('seal.title'))}</h3>
+            <p class="seal-hint">${escapeHtml(t('seal.hint'))}</p>
+            <div class="seal-controls">
+                <input type="password" class="seal-input" id="sealPassphrase" autocomplete="new-password" placeholder="${escapeHtml(t('seal.passphrase'))}" aria-label="${escapeHtml(t('seal.passphrase'))}" required>
+                <input type="password" class="seal-input" id="sealConfirm" autocomplete="new-password" placeholder="${escapeHtml(t('seal.confirm'))}" aria-label="${escapeHtml(t('seal.confirm'))}" required>
+                <button type="submit" class="seal-btn" id="sealBtn">
+                    ${Icons.shield}
+                    <span>${escapeHtml(t('seal.submit'))}</span>
+                </button>
+            </div>
+            <div class="seal-result" id="sealResult" aria-live="polite"></div>
+        </form>
+    `;
+}
+
+/**
+ * Show sealing status or error
+ * @param {string} message - Text to show
+ * @param {boolean} [isError=false] - Style as error
+ * @param {string} [link] - Sealed link, shown for manual copying
+ */
+function showSealResult(message, isError = false, link = '') {
+    const resultEl = document.getElementById('sealResult');
+    if (!resultEl) return;
+    
+    resultEl.classList.toggle('error', isError);
+    resultEl.innerHTML = `
+        <span>${escapeHtml(message)}</span>
+        ${link ? `<input type="text" class="seal-link" value="${escapeHtml(link)}" readonly aria-label="${escapeHtml(t('seal.title'))}">` : ''}
+    `;
+}
+
+/**
+ * Seal current credentials with the typed passphrase and copy the link
+ */
+async function copySealedLink() {
+    const passphraseInput = document.getElementById('sealPassphrase');
+    const confirmInput = document.getElementById('sealConfirm');
+    const button = document.getElementById('sealBtn');
+    
+    if (passphraseInput.value !== confirmInput.value) {
+        showSealResult(t('seal.mismatch'), true);
+        confirmInput.select();
+        return;
+    }
+    
+    const serialized = serializeCredentials(credentials);
+    button.disabled = true;
+    showSealResult(t('seal.sealing'));
+    
+    let link;
+    try {
+        // The link must pass the checks it meets when opened
+        parseCredentialString(serialized);
+        link = await createSealedLink(serialized, passphraseInput.value);
+    } catch (error) {
+        console.error('Failed to seal credentials:', error);
+        showSealResult(error.message, true);
+        return;
+    } finally {
+        button.disabled = false;
+    }
+    
+    // Shown as well, for copying by hand if the clipboard is unavailable
+    showSealResult(t('seal.done'), false, link);
+    copyToClipboard(link, null);
+}
+
+/**
+ * Show import status or error
+ * @param {string} message - Text to show
+ * @param {boolean} [isError=false] - Style as error
+ */
+function showImportResult(message, isError = false) {
+    const resultEl = document.getElementById('importResult');
+    if (!resultEl) return;
+    
+    resultEl.classList.toggle('error', isError);
+    resultEl.textContent = message;
+}
+
+/**
+ * Decode QR code from an uploaded or pasted image
+ * @param {Blob} file - Image
+ */
+async function importFromImage(file) {
+    showImportResult(t('import.decoding'));
+    
+    let text;
+    try {
+        text = await scanQRImage(file);
+    } catch (error) {
+        showImportResult(error.message, true);
+        return;
+    }
+    
+    if (!text) {
+        showImportResult(t('import.noQR'), true);
+        return;
+    }
+    importFromText(text);
+}
+
+/**
+ * Import otpauth or otpauth-migration link
+ * A migration payload with several accounts asks which one to use
+ * @param {string} text - Decoded QR content or pasted link
+ */
+function importFromText(text) {
+    const value = text.trim();
+    
+    if (/^otpauth-migration:/i.test(value)) {
+        let accounts;
+        try {
+            accounts = parseMigrationURL(value);
+        } catch (error) {
+            showImportResult(error.message, true);
+            return;
+        }
+        
+        if (accounts.length === 1) {
+            applyImportedSecret(accounts[0].url);
+            return;
+        }
+        
+        importCandidates = accounts;
+        const resultEl = document.getElementById('importResult');
+        resultEl.classList.remove('error');
+        resultEl.innerHTML = `
+            <p>${escapeHtml(t('import.choose', { count: accounts.length }))}</p>
+            <div class="import-choices">
+                ${accounts.map((account, index) => `
+                <button type="button" class="import-choice" data-import-index="${index}">${escapeHtml(account.issuer ? `${account.issuer}: ${account.account}` : account.account)}</button>
+                `).join('')}
+            </div>
+        `;
+        return;
+    }
+    
+    if (/^otpauth:/i.test(value)) {
+        applyImportedSecret(value);
+        return;
+    }
+    
+    showImportResult(t('import.notOTP'), true);
+}
+
+/**
+ * Use imported otpauth URL as the 2FA secret of the page
+ * @param {string} url - otpauth://totp/... or otpauth://hotp/...
+ */
+function applyImportedSecret(url) {
+    const otp = parseOTPAuthURL(url);
+    if (!otp) {
+        showImportResult(t('import.invalidLink'), true);
+        return;
+    }
+    
+    importCandidates = [];
+    const isNew = !credentials;
+    credentials = { ...(credentials || emptyCredentials()), twofa: url };
+    credentialsError = null;
+    if (isNew) {
+        // Not opened from the link in the address bar, if any
+        linkFragment = null;
+        protectCredentials();
+    } else {
+        applyScrubMode();
+    }
+    renderCredentials();
+    showToast(t('import.done', { account: otp.account || otp.issuer }));
+}
+
+/**
+ * Import image pasted anywhere on the page
+ * @param {ClipboardEvent} event - Paste event
+ */
+function handlePaste(event) {
+    if (!document.getElementById('importResult')) return;
+    
+    const file = Array.from(event.clipboardData?.files || []).find(item => item.type.startsWith('image/'));
+    if (file) {
+        event.preventDefault();
+        importFromImage(file);
+    }
+}
+
+/**
+ * Render passphrase prompt for sealed fragments
+ * Texts carry data-i18n, so a language switch translates them in place
+ * without losing the typed passphrase
+ * @param {HTMLElement} container - Container to render into
+ * @param {string} fragment - Sealed fragment
+ * @param {Object} [session] - Entry restored from sessionStorage, with its wipe deadline
+ */
+function renderPassphrasePrompt(container, fragment, session) {
+    container.innerHTML = `
+        <form class="passphrase-container" id="passphraseForm">
+            <div class="passphrase-icon">${Icons.shield}</div>
+            <h2 data-i18n="passphrase.title">${escapeHtml(t('passphrase.title'))}</h2>
+            <p data-i18n="passphrase.hint">${escapeHtml(t('passphrase.hint'))}</p>
+            <input type="password" class="passphrase-input" id="passphraseInput" autocomplete="off" data-i18n-attr="aria-label:passphrase.label" aria-label="${escapeHtml(t('passphrase.label'))}" autofocus required>
+            <button type="submit" class="passphrase-btn" id="passphraseBtn" data-i18n="passphrase.submit">${escapeHtml(t('passphrase.submit'))}</button>
+            <div class="passphrase-error" id="passphraseError"></div>
+        </form>
     `;
+    
+    const form = document.getElementById('passphraseForm');
+    const input = document.getElementById('passphraseInput');
+    const button = document.getElementById('passphraseBtn');
+    const errorEl = document.getElementById('passphraseError');
+    
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        button.disabled = true;
+        errorEl.textContent = '';
+        delete errorEl.dataset.i18n;
+        
+        let decoded;
+        try {
+            decoded = await unsealFragment(fragment, input.value);
+        } catch (error) {
+            console.error('Failed to unseal credentials:', error);
+            errorEl.dataset.i18n = error.message === 'Wrong passphrase'
+                ? 'passphrase.wrong'
+                : 'passphrase.damaged';
+            errorEl.textContent = t(errorEl.dataset.i18n);
+            button.disabled = false;
+            input.select();
+            return;
+        }
+        
+        try {
+            credentials = parseCredentialString(decoded, { requireLogin: !session });
+            protectCredentials(session?.burnAt, {
+                fragment,
+                passphrase: input.value,
+                serialized: serializeCredentials(credentials)
+            });
+        } catch (error) {
+            console.error('Failed to parse credentials:', error);
+            credentialsError = error.message;
+        }
+        renderCredentials();
+    });
+}
+
+/**
+ * Load credentials from URL hash, asking for passphrase if sealed
+ * Without a hash, credentials scrubbed into sessionStorage are restored
+ */
+function initCredentials() {
+    const hash = window.location.hash.substring(1);
+    linkFragment = hash || null;
+    
+    if (isSealedFragment(hash)) {
+        renderPassphrasePrompt(document.getElementById('credentialsContainer'), hash);
+        return;
+    }
+    
+    try {
+        credentials = parseCredentials();
+        if (credentials) {
+            protectCredentials();
+        } else if (restoreSessionCredentials()) {
+            return;
+        }
+    } catch (error) {
+        console.error('Failed to parse credentials:', error);
+        credentialsError = error.message;
+    }
+    renderCredentials();
+}
+
+/**
+ * Restore credentials kept in sessionStorage of the tab
+ * The wipe deadline is kept as well, so reloading doesn't postpone it
+ * @returns {boolean} - True if a sealed link was restored and the passphrase prompt is shown
+ */
+function restoreSessionCredentials() {
+    const saved = getScrubMode() === 'session' ? loadSessionCredentials() : null;
+    if (!saved) return false;
+    
+    if (saved.burnAt !== null && saved.burnAt <= Date.now()) {
+        clearSessionCredentials();
+        credentialsBurned = true;
+        return false;
+    }
+    
+    // Sealed links stay sealed in the tab: the passphrase is asked again
+    if (saved.sealed) {
+        renderPassphrasePrompt(document.getElementById('credentialsContainer'), saved.sealed, saved);
+        return true;
+    }
+    
+    // Saved by the page itself: may hold only an imported secret
+    credentials = parseCredentialString(saved.credentials, { requireLogin: false });
+    protectCredentials(saved.burnAt);
+    return false;
+}
+
+/**
+ * Apply scrub mode and burn timer to newly loaded credentials
+ * A link opened earlier in this tab keeps its deadline, whatever the scrub mode
+ * @param {number|null} [deadline] - Wipe deadline (ms) restored from the session; when omitted the link's saved one or a new one is set
+ * @param {Object|null} [sealed] - Sealed link the credentials were unlocked from
+ */
+function protectCredentials(deadline, sealed = null) {
+    const minutes = getBurnMinutes();
+    credentialsBurned = false;
+    sealedLink = sealed;
+    if (deadline === undefined) {
+        const saved = linkFragment ? loadBurnDeadline(linkFragment) : null;
+        deadline = saved ?? (minutes > 0 ? Date.now() + minutes * 60 * 1000 : null);
+    }
+    burnAt = deadline;
+    saveLinkDeadline();
+    
+    if (burnAt !== null && burnAt <= Date.now()) {
+        burnCredentials();
+        return;
+    }
+    armBurnTimer();
+    applyScrubMode();
+}
+
+/**
+ * Remember burn deadline of the link the credentials were opened from
+ */
+function saveLinkDeadline() {
+    if (linkFragment) {
+        saveBurnDeadline(linkFragment, burnAt);
+    }
+}
+
+/**
+ * Move credentials out of the address bar according to the scrub mode
+ */
+function applyScrubMode() {
+    const mode = getScrubMode();
+    if (mode === 'off' || !credentials) {
+        clearSessionCredentials();
+        return;
+    }
+    
+    scrubFragment();
+    if (mode !== 'session') {
+        clearSessionCredentials();
+    } else if (sealedLink) {
+        // Never store unlocked credentials of a sealed link in plain text
+        saveSealedSession().catch(error => console.error('Failed to seal credentials:', error));
+    } else {
+        saveSessionCredentials({ credentials: serializeCredentials(credentials), burnAt });
+    }
+}
+
+/**
+ * Keep credentials of a sealed link in sessionStorage as a sealed fragment
+ * Changed credentials (imported secret, HOTP counter) are sealed again with the same passphrase
+ */
+async function saveSealedSession() {
+    const link = sealedLink;
+    const serialized = serializeCredentials(credentials);
+    
+    if (serialized !== link.serialized) {
+        const fragment = await sealFragment(serialized, link.passphrase);
+        // Wiped, replaced or changed again while sealing: the newer call saves
+        if (sealedLink !== link || !credentials || serializeCredentials(credentials) !== serialized) return;
+        link.fragment = fragment;
+        link.serialized = serialized;
+        if (getScrubMode() !== 'session') return;
+    }
+    saveSessionCredentials({ sealed: link.fragment, burnAt });
+}
+
+/**
+ * (Re)start the burn timer for the current deadline
+ */
+function armBurnTimer() {
+    clearTimeout(burnTimer);
+    burnTimer = null;
+    if (burnAt !== null) {
+        burnTimer = setTimeout(burnCredentials, Math.max(0, burnAt - Date.now()));
+    }
+}
+
+/**
+ * Get text of the burn deadline
+ * @returns {string}
+ */
+function getBurnStatusText() {
+    return burnAt !== null ? t('burn.at', { time: formatDateTime(burnAt) }) : '';
+}
+
+/**
+ * Wipe credentials from memory, sessionStorage, the address bar and the panel
+ */
+function burnCredentials() {
+    clearTimeout(burnTimer);
+    burnTimer = null;
+    burnAt = null;
+    stopTOTP();
+    
+    credentials = null;
+    credentialsError = null;
+    credentialsBurned = true;
+    linkFragment = null;
+    sealedLink = null;
+    revealedFields.clear();
+    usedRecoveryCodes = new Set();
+    recoveryAccount = null;
+    importCandidates = [];
+    
+    clearSessionCredentials();
+    scrubFragment();
+    renderCredentials();
+}
+
+/**
+ * Change burn timer, counting from now
+ * @param {number} minutes - One of BURN_OPTIONS, 0 disables
+ */
+function changeBurnTimer(minutes) {
+    setBurnMinutes(minutes);
+    burnAt = minutes > 0 ? Date.now() + minutes * 60 * 1000 : null;
+    saveLinkDeadline();
+    armBurnTimer();
+    applyScrubMode();
+    
+    const statusEl = document.getElementById('burnStatus');
+    if (statusEl) {
+        statusEl.textContent = getBurnStatusText();
+    }
+}
+
+/**
+ * Show or hide sensitive credential value
+ * Updates the rendered item in place, so the TOTP loop keeps running
+ * @param {string} key - Credential key
+ * @param {boolean} reveal - Show the value
+ */
+function setFieldRevealed(key, reveal) {
+    if (reveal) {
+        revealedFields.add(key);
+    } else {
+        revealedFields.delete(key);
+    }
+    
+    const item = document.querySelector(`[data-credential="${key}"]`);
+    if (item) {
+        item.classList.toggle('masked', !reveal);
+        item.querySelector('.credential-value').textContent = reveal ? getCredentialValue(key, true) : MASK;
+        
+        const button = item.querySelector('.reveal-btn');
+        button.innerHTML = reveal ? Icons.eyeClosed : Icons.eye;
+        button.setAttribute('aria-pressed', String(reveal));
+        button.setAttribute('aria-label', t(reveal ? 'credentials.hide' : 'credentials.reveal'));
+    }
+    
+    // QR-код содержит секрет 2FA и скрывается вместе с ним
+    if (key === 'twofa') {
+        document.getElementById('qrCode')?.classList.toggle('concealed', !reveal);
+    }
+    
+    updateRevealAllButton();
+}
+
+/**
+ * Sync panel-wide reveal button with the state of the fields
+ */
+function updateRevealAllButton() {
+    const button = document.getElementById('revealAllBtn');
+    if (!button) return;
+    
+    const allRevealed = getSensitiveKeys().every(key => revealedFields.has(key));
+    button.innerHTML = `${allRevealed ? Icons.eyeClosed : Icons.eye}<span>${escapeHtml(t(allRevealed ? 'credentials.hideAll' : 'credentials.revealAll'))}</span>`;
+    button.setAttribute('aria-pressed', String(allRevealed));
+}
+
+/**
+ * Get credential value for display or copying
+ * A valid 2FA secret is normalised (and grouped by four for display),
+ * anything else is returned as entered
+ * @param {string} key - Credential key
+ * @param {boolean} [grouped=false] - Format for reading
+ * @returns {string}
+ */
+function getCredentialValue(key, grouped = false) {
+    if (key === 'twofa') {
+        const otp = resolveOTPParams(credentials.twofa);
+        if (otp && otp.problems.length === 0) {
+            return grouped ? formatSecret(otp.secret) : otp.secret;
+        }
+    }
+    return credentials[key];
+}
+
+/**
+ * Get sensitive fields present in current credentials
+ * @returns {Array<string>}
+ */
+function getSensitiveKeys() {
+    return SENSITIVE_FIELDS.filter(key => credentials?.[key]);
+}
+
+/**
+ * Handle clicks in the credentials panel: copy, reveal and reveal all
+ * Values are looked up in memory by key, markup only carries the key
+ * @param {Event} event - Click event delegated from the credentials container
+ */
+function handleCredentialsClick(event) {
+    if (event.target.closest('#importImageBtn')) {
+        document.getElementById('importImageInput').click();
+        return;
+    }
+    
+    const choiceBtn = event.target.closest('[data-import-index]');
+    if (choiceBtn) {
+        const candidate = importCandidates[Number(choiceBtn.dataset.importIndex)];
+        if (candidate) applyImportedSecret(candidate.url);
+        return;
+    }
+    
+    if (event.target.closest('#recoveryDownloadBtn')) {
+        downloadFile(RECOVERY_FILE_NAME, formatRecoveryCodes(credentials.recoveryCodes));
+        return;
+    }
+    
+    const formatBtn = event.target.closest('[data-qr-format]');
+    if (formatBtn) {
+        qrFormat = formatBtn.dataset.qrFormat;
+        renderQRCode();
+        return;
+    }
+    
+    const backupBtn = event.target.closest('[data-backup]');
+    if (backupBtn && currentOTP) {
+        const format = BACKUP_FORMATS[backupBtn.dataset.backup];
+        downloadFile(format.fileName, serializeBackup(backupBtn.dataset.backup, [currentOTP]), format.type);
+        return;
+    }
+    
+    if (event.target.closest('#revealAllBtn')) {
+        const reveal = !getSensitiveKeys().every(key => revealedFields.has(key));
+        getSensitiveKeys().forEach(key => setFieldRevealed(key, reveal));
+        return;
+    }
+    
+    const revealEl = event.target.closest('[data-reveal]');
+    if (revealEl && credentials) {
+        const key = revealEl.dataset.reveal;
+        // Click on the blurred QR only reveals, the button toggles
+        setFieldRevealed(key, revealEl.classList.contains('reveal-btn') ? !revealedFields.has(key) : true);
+        return;
+    }
+    
+    const item = event.target.closest('[data-credential]');
+    if (!item || !credentials) return;
+    
+    const value = getCredentialValue(item.dataset.credential);
+    if (value) {
+        copyToClipboard(value, item.querySelector('.copy-btn'));
+    }
 }
 
 /**
- * Handle click on credential item
- * @param {Event} event - Click event
- * @param {string} value - Value to copy
+ * localStorage key of the manual clock offset
  */
-function handleItemClick(event, value) {
-    const button = event.currentTarget.querySelector('.copy-btn');
-    copyToClipboard(value, button);
+const CLOCK_OFFSET_KEY = 'checkghp:clockOffset';
+
+/**
+ * Steps checked before and after the current one by the code verifier
+ */
+const VERIFY_WINDOW = 10;
+
+/**
+ * Load saved clock offset
+ * @returns {number} - Seconds added to the device clock
+ */
+function loadClockOffset() {
+    try {
+        return Number(localStorage.getItem(CLOCK_OFFSET_KEY)) || 0;
+    } catch (e) {
+        return 0;
+    }
+}
+
+// Manual correction of the device clock (seconds)
+let clockOffset = loadClockOffset();
+
+/**
+ * Set and remember clock offset
+ * @param {number} seconds - Seconds added to the device clock
+ */
+function setClockOffset(seconds) {
+    clockOffset = Math.round(seconds) || 0;
+    try {
+        localStorage.setItem(CLOCK_OFFSET_KEY, String(clockOffset));
+    } catch (e) {
+        // Storage disabled, the offset lasts until reload
+    }
+}
+
+/**
+ * Get time used for TOTP codes
+ * @returns {number} - Device time corrected by the clock offset (ms)
+ */
+function getOTPTime() {
+    return Date.now() + clockOffset * 1000;
 }
 
 // Store current TOTP code
 let currentTOTPCode = '';
-let totpInterval = null;
-let animationFrameId = null;
+
+// Running TOTP scheduler and the window counter of the codes on screen
+let totpScheduler = null;
+let shownCounter = null;
+
+// OTP parameters of the current render, source of the QR code and exports
+let currentOTP = null;
+
+// QR code format: otpauth or migration (Google Authenticator transfer)
+let qrFormat = 'otpauth';
+
+/**
+ * Stop TOTP updates of the current render
+ */
+function stopTOTP() {
+    if (totpScheduler) {
+        totpScheduler.stop();
+        totpScheduler = null;
+    }
+    shownCounter = null;
+    currentOTP = null;
+}
+
+/**
+ * Group code digits for readability (e.g. "123 456", "1234 5678")
+ * @param {string} code - OTP code
+ * @returns {string}
+ */
+function formatCode(code) {
+    const half = Math.ceil(code.length / 2);
+    return code.slice(0, half) + ' ' + code.slice(half);
+}
 
 /**
  * Initialize TOTP display and QR code
- * @param {string} secret - Base32 secret
- * @param {string} account - Account name
+ * @param {Object} otp - OTP parameters from resolveOTPParams
  */
-async function initTOTP(secret, account) {
-    // Generate QR code
-    const qrContainer = document.getElementById('qrCode');
-    const otpURL = generateOTPAuthURL(secret, account, 'GitHub');
+async function initTOTP(otp) {
+    // Счётчик мог уйти вперёд в прошлых отрисовках или до перезагрузки
+    if (otp.type === 'hotp') {
+        otp.counter = loadHOTPCounter(otp.secret, otp.counter);
+    }
     
-    // Use QR Server API for QR code generation (white QR on dark background)
-    const qrImageUrl = `https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${encodeURIComponent(otpURL)}&bgcolor=21262d&color=ffffff&format=svg&margin=10`;
-    qrContainer.innerHTML = `<img src="${qrImageUrl}" alt="QR Code" width="200" height="200">`;
+    currentOTP = otp;
+    renderQRCode();
     
     // Setup copy button
     const copyBtn = document.getElementById('copyTotpBtn');
@@ -241,23 +1186,158 @@ async function initTOTP(secret, account) {
         });
     }
     
-    // Initial TOTP generation
-    await refreshTOTPCode(secret);
+    // HOTP: counter advances on demand, there is no countdown
+    if (otp.type === 'hotp') {
+        const nextBtn = document.getElementById('hotpNextBtn');
+        if (nextBtn) {
+            nextBtn.addEventListener('click', () => {
+                advanceHOTPCounter(otp);
+                refreshTOTPCode(otp);
+            });
+        }
+        await refreshTOTPCode(otp);
+        return;
+    }
+    
+    initClockTools(otp);
+    
+    // One code per window; the countdown itself is a CSS animation
+    const progressEl = document.getElementById('totpProgress');
+    totpScheduler = startTOTPScheduler({
+        period: otp.period,
+        now: getOTPTime,
+        onWindow: ({ counter, elapsed }) => {
+            restartProgress(progressEl, otp.period, elapsed);
+            if (counter !== shownCounter) {
+                shownCounter = counter;
+                refreshTOTPCode(otp, counter);
+            }
+        }
+    });
+}
+
+/**
+ * Move HOTP counter to the next code
+ * The counter is saved and written back into credentials.twofa, which
+ * every re-render parses again
+ * @param {Object} otp - HOTP parameters
+ */
+function advanceHOTPCounter(otp) {
+    otp.counter++;
+    saveHOTPCounter(otp.secret, otp.counter);
+    
+    credentials.twofa = generateOTPAuthURL(otp.secret, otp.account, otp.issuer, otp);
+    applyScrubMode();
+    renderQRCode();
+}
+
+/**
+ * Draw QR code of the current OTP in the chosen format
+ * Drawn locally (white QR on dark background), the secret never leaves the browser
+ */
+function renderQRCode() {
+    const qrContainer = document.getElementById('qrCode');
+    if (!qrContainer || !currentOTP) return;
+    
+    document.querySelectorAll('[data-qr-format]').forEach(button => {
+        const active = button.dataset.qrFormat === qrFormat;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+    });
+    document.getElementById('qrHint').textContent = t(qrFormat === 'migration' ? 'qr.migrationHint' : 'qr.hint');
+    
+    try {
+        const text = qrFormat === 'migration'
+            ? generateMigrationURL([currentOTP])
+            : generateOTPAuthURL(currentOTP.secret, currentOTP.account, currentOTP.issuer, currentOTP);
+        qrContainer.innerHTML = renderQRCodeSVG(text, { size: 200 });
+    } catch (e) {
+        console.error('Failed to generate QR code:', e);
+        qrContainer.innerHTML = `<div class="qr-error">${Icons.warning}<span>${escapeHtml(e.message)}</span></div>`;
+    }
+}
+
+/**
+ * Wire up clock offset and code verifier of the TOTP section
+ * @param {Object} otp - TOTP parameters
+ */
+function initClockTools(otp) {
+    const offsetInput = document.getElementById('totpOffset');
+    const verifyInput = document.getElementById('totpVerify');
+    const resultEl = document.getElementById('totpVerifyResult');
+    
+    offsetInput.addEventListener('change', () => {
+        setClockOffset(Number(offsetInput.value));
+        offsetInput.value = clockOffset;
+        totpScheduler?.refresh();
+        verifyInput.dispatchEvent(new Event('input'));
+    });
     
-    // Start smooth animation loop
-    startProgressAnimation(secret);
+    verifyInput.addEventListener('input', async () => {
+        const code = verifyInput.value.replace(/\s/g, '');
+        resultEl.className = 'totp-verify-result';
+        resultEl.replaceChildren();
+        if (code.length !== otp.digits) return;
+        
+        const step = await verifyTOTP(code, otp.secret, { ...otp, window: VERIFY_WINDOW, now: getOTPTime() });
+        
+        // Пока проверяли, поле могли изменить
+        if (verifyInput.value.replace(/\s/g, '') !== code) return;
+        
+        if (step === null) {
+            resultEl.classList.add('fail');
+            resultEl.textContent = t('totp.verifyNone', { count: VERIFY_WINDOW });
+            return;
+        }
+        
+        if (step === 0) {
+            resultEl.classList.add('ok');
+            resultEl.textContent = t('totp.verifyMatch');
+            return;
+        }
+        
+        // The authenticator's clock differs from ours by about step periods
+        const seconds = Math.abs(step) * otp.period;
+        resultEl.classList.add('drift');
+        resultEl.innerHTML = `
+            <span>${escapeHtml(t(step > 0 ? 'totp.verifyAhead' : 'totp.verifyBehind', { count: Math.abs(step), seconds }))}</span>
+            <button type="button" class="totp-apply-btn">${escapeHtml(t('totp.applyOffset'))}</button>
+        `;
+        resultEl.querySelector('.totp-apply-btn').addEventListener('click', () => {
+            offsetInput.value = clockOffset + step * otp.period;
+            offsetInput.dispatchEvent(new Event('change'));
+        });
+    });
 }
 
 /**
- * Refresh TOTP code
- * @param {string} secret - Base32 secret
+ * Refresh TOTP code, and the previous and next ones for TOTP
+ * @param {Object} otp - OTP parameters
+ * @param {number} [counter] - Time window of TOTP
  */
-async function refreshTOTPCode(secret) {
+async function refreshTOTPCode(otp, counter) {
     try {
-        currentTOTPCode = await generateTOTP(secret);
+        if (otp.type === 'hotp') {
+            currentTOTPCode = await generateHOTP(otp.secret, otp.counter, otp.digits, otp.algorithm);
+        } else {
+            const [previous, current, following] = await Promise.all([counter - 1, counter, counter + 1]
+                .map(step => generateHOTP(otp.secret, step, otp.digits, otp.algorithm)));
+            
+            // Пока считали, окно могло смениться
+            if (counter !== shownCounter) return;
+            currentTOTPCode = current;
+            
+            const previousEl = document.getElementById('totpPrevious');
+            const followingEl = document.getElementById('totpFollowing');
+            if (previousEl && followingEl) {
+                previousEl.textContent = formatCode(previous);
+                followingEl.textContent = formatCode(following);
+            }
+        }
+        
         const codeEl = document.getElementById('totpCode');
         if (codeEl) {
-            codeEl.textContent = currentTOTPCode.slice(0, 3) + ' ' + currentTOTPCode.slice(3);
+            codeEl.textContent = formatCode(currentTOTPCode);
         }
     } catch (e) {
         console.error('Failed to generate TOTP:', e);
@@ -265,109 +1345,152 @@ async function refreshTOTPCode(secret) {
 }
 
 /**
- * Interpolate between two colors
- * @param {Array} color1 - RGB array [r, g, b]
- * @param {Array} color2 - RGB array [r, g, b]
- * @param {number} factor - 0 to 1
- * @returns {string} - RGB string
+ * Restart countdown of the progress bar from the current point of the window
+ * @param {HTMLElement} progressEl - Progress bar
+ * @param {number} period - Time step in seconds
+ * @param {number} elapsed - Milliseconds since the window started
  */
-function interpolateColor(color1, color2, factor) {
-    const r = Math.round(color1[0] + (color2[0] - color1[0]) * factor);
-    const g = Math.round(color1[1] + (color2[1] - color1[1]) * factor);
-    const b = Math.round(color1[2] + (color2[2] - color1[2]) * factor);
-    return `rgb(${r}, ${g}, ${b})`;
+function restartProgress(progressEl, period, elapsed) {
+    if (!progressEl) return;
+    
+    // Reflow between the two assignments starts the animation over
+    progressEl.style.animation = 'none';
+    void progressEl.offsetWidth;
+    progressEl.style.animation = '';
+    progressEl.style.animationDuration = `${period}s`;
+    progressEl.style.animationDelay = `${-elapsed / 1000}s`;
 }
 
 /**
- * Get gradient colors based on remaining time
- * @param {number} scale - 0 to 1 (1 = full time, 0 = no time)
- * @returns {string} - CSS gradient
+ * Render language and time zone selectors
+ * @param {HTMLElement} container - Container element
  */
-function getProgressGradient(scale) {
-    // Color stops: green -> yellow -> orange -> red
-    const green = [35, 134, 54];      // #238636
-    const greenLight = [46, 160, 67]; // #2ea043
-    const yellow = [210, 153, 34];    // #d29922
-    const orange = [247, 129, 102];   // #f78166
-    const red = [248, 81, 73];        // #f85149
-    const redDark = [218, 54, 51];    // #da3633
+function renderLocaleSwitcher(container) {
+    const systemZone = getSystemTimeZone();
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    if (!zones.includes('UTC')) zones.unshift('UTC');
     
-    let color1, color2, color1Light, color2Light;
-    let factor;
+    // Saved zone may be missing from the list of another browser
+    const chosenZone = getTimeZone();
+    if (chosenZone && !zones.includes(chosenZone)) zones.push(chosenZone);
     
-    if (scale > 0.66) {
-        // Green zone (100% - 66%)
-        factor = (1 - scale) / 0.34;
-        color1 = interpolateColor(green, yellow, factor);
-        color2 = interpolateColor(greenLight, yellow, factor);
-        return `linear-gradient(90deg, ${color1}, ${color2})`;
-    } else if (scale > 0.33) {
-        // Yellow-Orange zone (66% - 33%)
-        factor = (0.66 - scale) / 0.33;
-        color1 = interpolateColor(yellow, orange, factor);
-        color2 = interpolateColor(yellow, orange, factor * 0.8);
-        return `linear-gradient(90deg, ${color1}, ${color2})`;
-    } else {
-        // Red zone (33% - 0%)
-        factor = (0.33 - scale) / 0.33;
-        color1 = interpolateColor(orange, red, factor);
-        color2 = interpolateColor(orange, redDark, factor);
-        return `linear-gradient(90deg, ${color1}, ${color2})`;
-    }
+    container.innerHTML = `
+        <select class="locale-select" id="localeSelect" aria-label="${escapeHtml(t('locale.language'))}">
+            ${Object.entries(LOCALES).map(([code, locale]) => `
+                <option value="${code}"${code === getLocale() ? ' selected' : ''}>${escapeHtml(locale.name)}</option>
+            `).join('')}
+        </select>
+        <select class="locale-select" id="timeZoneSelect" aria-label="${escapeHtml(t('locale.timeZone'))}">
+            <option value="">${escapeHtml(t('locale.systemTimeZone', { zone: systemZone }))}</option>
+            ${zones.map(zone => `
+                <option value="${escapeHtml(zone)}"${zone === chosenZone ? ' selected' : ''}>${escapeHtml(zone)}</option>
+            `).join('')}
+        </select>
+    `;
+    
+    container.querySelector('#localeSelect').addEventListener('change', (e) => setLocale(e.target.value));
+    container.querySelector('#timeZoneSelect').addEventListener('change', (e) => setTimeZone(e.target.value || null));
 }
 
 /**
- * Start smooth progress animation using requestAnimationFrame
- * @param {string} secret - Base32 secret
+ * Inputs of the credentials panel whose typed text survives a language switch
  */
-function startProgressAnimation(secret) {
-    const progressEl = document.getElementById('totpProgress');
-    let lastCodeTime = Math.floor(Date.now() / 30000) * 30000;
-    
-    function animate() {
-        const now = Date.now();
-        const currentCodeTime = Math.floor(now / 30000) * 30000;
-        
-        // Check if we need to refresh the code
-        if (currentCodeTime !== lastCodeTime) {
-            lastCodeTime = currentCodeTime;
-            refreshTOTPCode(secret);
-        }
-        
-        // Calculate smooth scale from 1 to 0
-        const elapsed = now - currentCodeTime;
-        const scale = 1 - (elapsed / 30000); // 1 to 0 over 30 seconds
-        
-        // Update progress bar with smooth transform and color
-        if (progressEl) {
-            progressEl.style.transform = `scaleX(${scale})`;
-            progressEl.style.background = getProgressGradient(scale);
+const TYPED_INPUTS = ['totpOffset', 'totpVerify', 'importLinkInput', 'sealPassphrase', 'sealConfirm'];
+
+/**
+ * Put typed text back into the re-rendered panel
+ * The code is verified again, so its result comes out in the new language
+ * @param {Array<string|undefined>} values - Values of TYPED_INPUTS before the re-render
+ */
+function restoreTypedInputs(values) {
+    TYPED_INPUTS.forEach((id, index) => {
+        const input = document.getElementById(id);
+        if (input && values[index] !== undefined) {
+            input.value = values[index];
         }
-        
-        animationFrameId = requestAnimationFrame(animate);
+    });
+
+    const verifyInput = document.getElementById('totpVerify');
+    if (verifyInput?.value) {
+        verifyInput.dispatchEvent(new Event('input'));
     }
+}
+
+/**
+ * Re-render everything that depends on language or time zone
+ */
+function handleLocaleChange() {
+    applyTranslations();
     
-    if (animationFrameId) {
-        cancelAnimationFrame(animationFrameId);
+    const switcher = document.getElementById('localeSwitcher');
+    if (switcher) {
+        renderLocaleSwitcher(switcher);
     }
     
-    animate();
+    // Decrypted credentials stay in memory, everything else is parsed again;
+    // an open passphrase prompt was translated by applyTranslations
+    if (credentials) {
+        const typed = TYPED_INPUTS.map(id => document.getElementById(id)?.value);
+        renderCredentials();
+        restoreTypedInputs(typed);
+    } else if (!document.getElementById('passphraseForm')) {
+        credentialsError = null;
+        initCredentials();
+    }
 }
 
 /**
  * Initialize the application
  */
 function init() {
-    credentials = parseCredentials();
-    renderCredentials();
+    applyTranslations();
+    
+    const switcher = document.getElementById('localeSwitcher');
+    if (switcher) {
+        renderLocaleSwitcher(switcher);
+    }
+    onLocaleChange(handleLocaleChange);
+    
+    // Container outlives re-renders, so delegated listeners are attached once
+    const credentialsContainer = document.getElementById('credentialsContainer');
+    credentialsContainer.addEventListener('click', handleCredentialsClick);
+    credentialsContainer.addEventListener('change', (e) => {
+        if (e.target.id === 'clipboardClearSelect') {
+            setClipboardClearDelay(Number(e.target.value));
+        } else if (e.target.id === 'scrubModeSelect') {
+            setScrubMode(e.target.value);
+            applyScrubMode();
+        } else if (e.target.id === 'burnSelect') {
+            changeBurnTimer(Number(e.target.value));
+        } else if (e.target.matches('[data-recovery-code]')) {
+            toggleRecoveryCode(e.target);
+        } else if (e.target.id === 'importImageInput') {
+            const [file] = e.target.files;
+            if (file) importFromImage(file);
+            e.target.value = '';
+        } else if (e.target.id === 'importLinkInput' && e.target.value.trim()) {
+            importFromText(e.target.value);
+        }
+    });
+    credentialsContainer.addEventListener('submit', (e) => {
+        if (e.target.id === 'sealForm') {
+            e.preventDefault();
+            copySealedLink();
+        }
+    });
+    document.addEventListener('paste', handlePaste);
+    
+    // Timers may fire late after sleep, the deadline is checked on return
+    document.addEventListener('visibilitychange', () => {
+        if (burnAt !== null && Date.now() >= burnAt) {
+            burnCredentials();
+        }
+    });
+    
+    initCredentials();
     initLogsPanel();
+    registerServiceWorker();
 }
 
-// Expose functions to global scope
-window.app = {
-    copyToClipboard,
-    handleItemClick
-};
-
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', init);
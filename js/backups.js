@@ -0,0 +1,115 @@
+/**
+ * Authenticator Backups
+ * Plain (unencrypted) JSON backups that Aegis, 2FAS and andOTP import
+ */
+
+import { normalizeAlgorithm } from './totp.js';
+
+/**
+ * Supported backup formats: file name, MIME type and builder
+ */
+export const BACKUP_FORMATS = {
+    aegis: { name: 'Aegis', fileName: 'aegis-export-plain.json', type: 'application/json', build: buildAegisBackup },
+    twofas: { name: '2FAS', fileName: '2fas-backup.2fas', type: 'application/json', build: buildTwoFASBackup },
+    andotp: { name: 'andOTP', fileName: 'otp_accounts.json', type: 'application/json', build: buildAndOTPBackup }
+};
+
+/**
+ * Build Aegis vault (database version 3, not encrypted)
+ * @param {Array<Object>} otps - OTP parameters from resolveOTPParams
+ * @returns {Object}
+ */
+function buildAegisBackup(otps) {
+    return {
+        version: 1,
+        header: { slots: null, params: null },
+        db: {
+            version: 3,
+            entries: otps.map(otp => ({
+                type: otp.type,
+                uuid: crypto.randomUUID(),
+                name: otp.account,
+                issuer: otp.issuer,
+                note: '',
+                favorite: false,
+                icon: null,
+                info: {
+                    secret: otp.secret,
+                    algo: normalizeAlgorithm(otp.algorithm),
+                    digits: otp.digits,
+                    ...(otp.type === 'hotp' ? { counter: otp.counter } : { period: otp.period })
+                },
+                groups: []
+            })),
+            groups: []
+        }
+    };
+}
+
+/**
+ * Build 2FAS backup (schema version 4, not encrypted)
+ * @param {Array<Object>} otps - OTP parameters from resolveOTPParams
+ * @returns {Object}
+ */
+function buildTwoFASBackup(otps) {
+    const updatedAt = Date.now();
+
+    return {
+        services: otps.map((otp, position) => ({
+            name: otp.issuer,
+            secret: otp.secret,
+            updatedAt,
+            otp: {
+                label: otp.account,
+                account: otp.account,
+                issuer: otp.issuer,
+                digits: otp.digits,
+                period: otp.period,
+                algorithm: normalizeAlgorithm(otp.algorithm),
+                counter: otp.counter,
+                tokenType: otp.type.toUpperCase(),
+                source: 'Manual'
+            },
+            order: { position },
+            icon: {
+                selected: 'Label',
+                label: { text: otp.issuer.slice(0, 2).toUpperCase(), backgroundColor: 'Default' },
+                iconCollection: { id: 'a5b3fb65-4ec5-43e6-8ec1-49e24ca9e7ad' }
+            }
+        })),
+        groups: [],
+        updatedAt,
+        schemaVersion: 4
+    };
+}
+
+/**
+ * Build andOTP backup (plain JSON array)
+ * @param {Array<Object>} otps - OTP parameters from resolveOTPParams
+ * @returns {Array<Object>}
+ */
+function buildAndOTPBackup(otps) {
+    return otps.map(otp => ({
+        secret: otp.secret,
+        issuer: otp.issuer,
+        label: otp.account,
+        digits: otp.digits,
+        type: otp.type.toUpperCase(),
+        algorithm: normalizeAlgorithm(otp.algorithm),
+        thumbnail: 'Default',
+        last_used: 0,
+        used_frequency: 0,
+        ...(otp.type === 'hotp' ? { counter: otp.counter } : { period: otp.period }),
+        tags: []
+    }));
+}
+
+/**
+ * Serialize backup file
+ * @param {string} format - Key of BACKUP_FORMATS
+ * @param {Array<Object>} otps - OTP parameters from resolveOTPParams
+ * @returns {string} - JSON text
+ */
+export function serializeBackup(format, otps) {
+    return JSON.stringify(BACKUP_FORMATS[format].build(otps), null, 4);
+}
@@ -0,0 +1,129 @@
+/**
+ * Baseline Storage & Diff
+ * Keeps a snapshot of an analysis per account in IndexedDB, so a later
+ * export of the same account can be compared against it
+ */
+
+import { getEventTime } from './formats.js';
+import { t } from './i18n.js';
+
+const DB_NAME = 'checkghp';
+const DB_VERSION = 1;
+const STORE = 'baselines';
+
+/**
+ * Open database, creating the store on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error(t('baseline.noIndexedDB')));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE, { keyPath: 'actor' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a single request against the baselines store
+ * @param {string} mode - readonly or readwrite
+ * @param {Function} operation - Receives the store, returns IDBRequest
+ * @returns {Promise<*>} - Request result
+ */
+async function withStore(mode, operation) {
+    const db = await openDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const request = operation(db.transaction(STORE, mode).objectStore(STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Create baseline snapshot from analysis
+ * Only event ids and check statuses are kept, not the events themselves
+ * @param {Object} analysis - Result of analyzeLogs
+ * @param {Object} source - Uploaded file { fileName, fileSize, sha256 }
+ * @returns {Object} - Baseline record
+ * @throws {Error} - If the export has no account login
+ */
+export function createBaseline(analysis, source) {
+    const { events } = analysis;
+    if (!analysis.username) {
+        throw new Error(t('baseline.noActor'));
+    }
+
+    return {
+        actor: analysis.username,
+        savedAt: Date.now(),
+        source: { fileName: source.fileName, sha256: source.sha256 },
+        totalEvents: analysis.totalEvents,
+        lastEventTime: events.length > 0 ? getEventTime(events[events.length - 1]) : 0,
+        documentIds: events.map(event => event._document_id).filter(Boolean),
+        checks: Object.fromEntries(analysis.findings.map(finding => [
+            finding.ruleId,
+            { name: finding.name, passed: finding.passed }
+        ]))
+    };
+}
+
+/**
+ * Load baseline of account
+ * @param {string} actor - Account login
+ * @returns {Promise<Object|null>}
+ */
+export async function loadBaseline(actor) {
+    return (await withStore('readonly', store => store.get(actor))) || null;
+}
+
+/**
+ * Save baseline, replacing the previous one of the same account
+ * @param {Object} baseline - Record from createBaseline
+ * @returns {Promise<void>}
+ */
+export async function saveBaseline(baseline) {
+    await withStore('readwrite', store => store.put(baseline));
+}
+
+/**
+ * Delete baseline of account
+ * @param {string} actor - Account login
+ * @returns {Promise<void>}
+ */
+export async function deleteBaseline(actor) {
+    await withStore('readwrite', store => store.delete(actor));
+}
+
+/**
+ * Compare analysis against baseline
+ * Events are matched by _document_id, events without one (or when the
+ * baseline has none) count as new if they are later than the baseline
+ * @param {Object} baseline - Record from createBaseline
+ * @param {Object} analysis - Result of analyzeLogs
+ * @returns {Object} - { newEvents, changedChecks }
+ */
+export function diffAgainstBaseline(baseline, analysis) {
+    const knownIds = new Set(baseline.documentIds);
+
+    const newEvents = analysis.events.filter(event => event._document_id && knownIds.size > 0
+        ? !knownIds.has(event._document_id)
+        : getEventTime(event) > baseline.lastEventTime);
+
+    // Проверки, которых не было в эталоне, не сравниваются
+    const changedChecks = analysis.findings
+        .filter(finding => finding.ruleId in baseline.checks && baseline.checks[finding.ruleId].passed !== finding.passed)
+        .map(finding => ({ ...finding, wasPassed: baseline.checks[finding.ruleId].passed }));
+
+    return { newEvents, changedChecks };
+}
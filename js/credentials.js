@@ -0,0 +1,186 @@
+/**
+ * Credential Fragment Parser
+ * Decodes and validates credentials carried in the URL fragment
+ *
+ * Current format (schema v1): base64url(UTF-8 JSON)
+ *   { "v": 1, "email": "...", "password": "...", "twofa": "...", "token": "...",
+ *     "username": "...", "recoveryCodes": ["..."], "notes": "..." }
+ *
+ * Legacy format: base64(email:password:2fa:token)
+ */
+
+import { base64UrlEncode, base64UrlDecode } from './utils.js';
+import { t } from './i18n.js';
+
+/**
+ * Current schema version
+ */
+export const SCHEMA_VERSION = 1;
+
+/**
+ * String fields of schema v1
+ */
+const STRING_FIELDS = ['email', 'password', 'twofa', 'token', 'username', 'notes'];
+
+/**
+ * Create empty credentials object
+ * @returns {Object}
+ */
+export function emptyCredentials() {
+    return {
+        email: '',
+        password: '',
+        twofa: '',
+        token: '',
+        username: '',
+        recoveryCodes: [],
+        notes: ''
+    };
+}
+
+/**
+ * Decode bytes as UTF-8, falling back to Latin-1 for old links made with btoa
+ * @param {Uint8Array} bytes - Decoded fragment bytes
+ * @returns {string}
+ */
+function decodeText(bytes) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (e) {
+        return String.fromCharCode(...bytes);
+    }
+}
+
+/**
+ * Validate and normalize schema v1 object
+ * @param {Object} data - Parsed JSON
+ * @param {boolean} requireLogin - Reject credentials without email and username
+ * @returns {Object} - Credentials
+ */
+function parseSchema(data, requireLogin) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(t('credentialsError.notObject'));
+    }
+    if (data.v !== SCHEMA_VERSION) {
+        throw new Error(t('credentialsError.version', { version: data.v === undefined ? t('credentialsError.versionMissing') : String(data.v) }));
+    }
+
+    const result = emptyCredentials();
+
+    for (const field of STRING_FIELDS) {
+        if (data[field] === undefined || data[field] === null) continue;
+        if (typeof data[field] !== 'string') {
+            throw new Error(t('credentialsError.fieldString', { field }));
+        }
+        result[field] = data[field];
+    }
+
+    if (data.recoveryCodes !== undefined && data.recoveryCodes !== null) {
+        if (!Array.isArray(data.recoveryCodes) || data.recoveryCodes.some(code => typeof code !== 'string')) {
+            throw new Error(t('credentialsError.recoveryCodes'));
+        }
+        result.recoveryCodes = data.recoveryCodes.map(code => code.trim()).filter(Boolean);
+    }
+
+    if (requireLogin && !result.email && !result.username) {
+        throw new Error(t('credentialsError.noLogin'));
+    }
+
+    return result;
+}
+
+/**
+ * Parse legacy colon-separated string
+ * Expected format: email:password:2fa:token
+ * The 2fa field may be a bare base32 secret or a full otpauth:// URI
+ * @param {string} decoded - Decoded string
+ * @returns {Object} - Credentials
+ */
+function parseLegacy(decoded) {
+    const parts = decoded.split(':');
+
+    if (parts.length < 2) {
+        throw new Error(t('credentialsError.legacyFormat'));
+    }
+
+    // otpauth:// URI contains colons itself, token follows the query string
+    const rest = parts.slice(2).join(':');
+    const otpauthMatch = rest.match(/^(otpauth:\/\/[^?]*\?[^:]*)(?::(.*))?$/i);
+
+    return {
+        ...emptyCredentials(),
+        email: parts[0] || '',
+        password: parts[1] || '',
+        twofa: otpauthMatch ? otpauthMatch[1] : (parts[2] || ''),
+        token: otpauthMatch ? (otpauthMatch[2] || '') : (parts[3] || '')
+    };
+}
+
+/**
+ * Parse decoded credential string (JSON schema or legacy form)
+ * Links must name the account; credentials the page saved itself may hold
+ * only a secret (imported QR code, legacy link without email)
+ * @param {string} decoded - Decoded string
+ * @param {Object} [options]
+ * @param {boolean} [options.requireLogin=true] - Reject credentials without email and username
+ * @returns {Object} - Credentials
+ * @throws {Error} - With user-facing message if invalid
+ */
+export function parseCredentialString(decoded, { requireLogin = true } = {}) {
+    const text = String(decoded).trim();
+
+    if (text.startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error(t('credentialsError.json'));
+        }
+        return parseSchema(data, requireLogin);
+    }
+
+    return parseLegacy(text);
+}
+
+/**
+ * Decode credential fragment
+ * @param {string} fragment - Fragment without leading #
+ * @returns {Object} - Credentials
+ * @throws {Error} - With user-facing message if invalid
+ */
+export function decodeCredentialFragment(fragment) {
+    let bytes;
+    try {
+        bytes = base64UrlDecode(decodeURIComponent(fragment.trim()));
+    } catch (e) {
+        throw new Error(t('credentialsError.base64'));
+    }
+    return parseCredentialString(decodeText(bytes));
+}
+
+/**
+ * Serialize credentials as schema v1 JSON (empty fields are omitted)
+ * @param {Object} fields - Credential fields
+ * @returns {string}
+ */
+export function serializeCredentials(fields) {
+    const data = { v: SCHEMA_VERSION };
+    for (const field of STRING_FIELDS) {
+        if (fields[field]) {
+            data[field] = fields[field];
+        }
+    }
+    if (fields.recoveryCodes && fields.recoveryCodes.length > 0) {
+        data.recoveryCodes = fields.recoveryCodes;
+    }
+    return JSON.stringify(data);
+}
+
+/**
+ * Encode credentials into a plain (unencrypted) fragment
+ * @param {Object} fields - Credential fields
+ * @returns {string} - Fragment without leading #
+ */
+export function encodeCredentialFragment(fields) {
+    return base64UrlEncode(new TextEncoder().encode(serializeCredentials(fields)));
+}
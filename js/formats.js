@@ -0,0 +1,390 @@
+/**
+ * Log Export Formats
+ * Detects the export format by content, parses NDJSON, JSON arrays and CSV,
+ * unpacks zip archives and maps every source onto one internal event shape
+ * No DOM access, used by both the page and the ingestion worker
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * Detect binary container by magic bytes
+ * @param {Uint8Array} head - First bytes of the file
+ * @returns {string} - gzip, zip or text
+ */
+export function sniffContainer(head) {
+    if (head[0] === 0x1f && head[1] === 0x8b) return 'gzip';
+    if (head[0] === 0x50 && head[1] === 0x4b && head[2] === 0x03 && head[3] === 0x04) return 'zip';
+    return 'text';
+}
+
+/**
+ * Create incremental CSV parser (RFC 4180)
+ * @param {Function} onRow - Called with array of fields for every row
+ * @returns {{push: Function, end: Function}}
+ */
+function createCSVParser(onRow) {
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let afterQuote = false;
+
+    const endRow = () => {
+        row.push(field);
+        // Пустые строки пропускаются
+        if (row.length > 1 || row[0] !== '') onRow(row);
+        row = [];
+        field = '';
+    };
+
+    return {
+        push(text) {
+            for (let i = 0; i < text.length; i++) {
+                const ch = text[i];
+
+                if (inQuotes) {
+                    if (ch === '"') {
+                        inQuotes = false;
+                        afterQuote = true;
+                    } else {
+                        field += ch;
+                    }
+                    continue;
+                }
+
+                if (ch === '"') {
+                    // Удвоенная кавычка внутри поля
+                    if (afterQuote) field += '"';
+                    inQuotes = true;
+                } else if (ch === ',') {
+                    row.push(field);
+                    field = '';
+                } else if (ch === '\n') {
+                    endRow();
+                } else if (ch !== '\r') {
+                    field += ch;
+                }
+                afterQuote = false;
+            }
+        },
+
+        end() {
+            if (field !== '' || row.length > 0) endRow();
+        }
+    };
+}
+
+/**
+ * Turn flat CSV record with dotted headers into nested object
+ * @param {Array<string>} headers - Header row
+ * @param {Array<string>} values - Data row
+ * @returns {Object}
+ */
+function csvRecord(headers, values) {
+    const record = {};
+
+    headers.forEach((header, i) => {
+        const value = values[i];
+        if (value === undefined || value === '') return;
+
+        const path = header.split('.');
+        let target = record;
+        for (const key of path.slice(0, -1)) {
+            if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+            target = target[key];
+        }
+        target[path[path.length - 1]] = value;
+    });
+
+    return record;
+}
+
+/**
+ * Create incremental parser of decompressed export text
+ * Format is chosen by the first significant character: { for NDJSON,
+ * [ for a JSON array, anything else is treated as CSV with a header row
+ * @param {Function} onRecord - Called with every raw record
+ * @returns {{push: Function, end: Function, format: string|null}}
+ */
+export function createRecordParser(onRecord) {
+    let format = null;
+    let buffer = '';
+    let csv = null;
+    let headers = null;
+
+    const parseLine = (line) => {
+        if (!line.trim()) return;
+        try {
+            onRecord(JSON.parse(line));
+        } catch (e) {
+            console.warn('Failed to parse line:', line.slice(0, 200));
+        }
+    };
+
+    const detect = () => {
+        const first = buffer.replace(/^\uFEFF/, '').trimStart()[0];
+        if (!first) return;
+
+        if (first === '{') {
+            format = 'ndjson';
+        } else if (first === '[') {
+            format = 'json';
+        } else {
+            format = 'csv';
+            csv = createCSVParser((row) => {
+                if (!headers) {
+                    headers = row.map(header => header.trim());
+                } else {
+                    onRecord(csvRecord(headers, row));
+                }
+            });
+        }
+    };
+
+    return {
+        get format() {
+            return format;
+        },
+
+        push(text) {
+            if (format === 'csv') {
+                csv.push(text);
+                return;
+            }
+
+            buffer += text;
+            if (!format) {
+                detect();
+                if (format === 'csv') {
+                    csv.push(buffer.replace(/^\uFEFF/, ''));
+                    buffer = '';
+                    return;
+                }
+            }
+
+            if (format === 'ndjson') {
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                lines.forEach(parseLine);
+            }
+        },
+
+        end() {
+            if (format === 'ndjson') {
+                parseLine(buffer);
+            } else if (format === 'json') {
+                let records;
+                try {
+                    records = JSON.parse(buffer);
+                } catch (e) {
+                    throw new Error(t('formats.invalidJson'));
+                }
+                if (!Array.isArray(records)) {
+                    throw new Error(t('formats.notArray'));
+                }
+                records.forEach(onRecord);
+            } else if (format === 'csv') {
+                csv.end();
+            }
+            buffer = '';
+        }
+    };
+}
+
+/**
+ * Decompress gzip or raw deflate bytes
+ * @param {Uint8Array} data - Compressed data
+ * @param {string} format - gzip or deflate-raw
+ * @returns {Promise<Uint8Array>}
+ */
+export async function decompressBytes(data, format = 'gzip') {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error(t('formats.noDecompression'));
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Extract files from zip archive
+ * Supports stored and deflated entries, skips directories and macOS metadata
+ * @param {Uint8Array} bytes - Zip archive
+ * @returns {Promise<Array<{name: string, data: Uint8Array}>>}
+ */
+export async function extractZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+
+    // Конец центрального каталога ищется с конца (после него может быть комментарий)
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) {
+        throw new Error(t('formats.zipDamaged'));
+    }
+
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    if (count === 0xffff || offset === 0xffffffff) {
+        throw new Error(t('formats.zip64'));
+    }
+
+    const files = [];
+    for (let n = 0; n < count; n++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error(t('formats.zipDamaged'));
+        }
+
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/') || name.startsWith('__MACOSX/') || name.split('/').pop().startsWith('.')) {
+            continue;
+        }
+        if (flags & 0x1) {
+            throw new Error(t('formats.zipEncrypted'));
+        }
+
+        const dataStart = localOffset + 30 +
+            view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) {
+            files.push({ name, data });
+        } else if (method === 8) {
+            files.push({ name, data: await decompressBytes(data, 'deflate-raw') });
+        } else {
+            throw new Error(t('formats.zipMethod', { method: String(method) }));
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Parse export held in memory, unpacking gzip and zip containers
+ * @param {Uint8Array} bytes - File contents
+ * @param {Function} onRecord - Called with every raw record
+ * @returns {Promise<Array<string>>} - Detected text formats
+ */
+export async function parseExportBytes(bytes, onRecord) {
+    const container = sniffContainer(bytes);
+
+    if (container === 'gzip') {
+        return parseExportBytes(await decompressBytes(bytes), onRecord);
+    }
+
+    if (container === 'zip') {
+        const formats = [];
+        for (const entry of await extractZip(bytes)) {
+            for (const format of await parseExportBytes(entry.data, onRecord)) {
+                if (!formats.includes(format)) formats.push(format);
+            }
+        }
+        return formats;
+    }
+
+    const parser = createRecordParser(onRecord);
+    parser.push(new TextDecoder().decode(bytes));
+    parser.end();
+    return parser.format ? [parser.format] : [];
+}
+
+/**
+ * Convert timestamp value to milliseconds
+ * Accepts epoch milliseconds (number or numeric string) and ISO dates
+ * @param {*} value - Timestamp
+ * @returns {number} - Milliseconds, NaN if missing or invalid
+ */
+function toMillis(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || value === '') return NaN;
+    if (/^\d+(\.\d+)?$/.test(value)) return Number(value);
+    return Date.parse(value);
+}
+
+/**
+ * Pick first present field
+ * @param {Object} record - Raw record
+ * @param {Array<string>} keys - Field names in order of preference
+ * @returns {*}
+ */
+function pick(record, keys) {
+    for (const key of keys) {
+        if (record[key] !== undefined && record[key] !== null && record[key] !== '') return record[key];
+    }
+    return undefined;
+}
+
+/**
+ * Field names used by different exports for the same value
+ * Security log NDJSON is the internal shape, CSV and organization
+ * audit-log exports (REST and GraphQL) use the alternatives
+ */
+const FIELD_ALIASES = {
+    _document_id: ['_document_id', 'document_id', 'id'],
+    action: ['action'],
+    actor: ['actor', 'actor_login', 'actorLogin'],
+    user: ['user', 'user_login', 'userLogin'],
+    org: ['org', 'organization', 'organizationName'],
+    actor_ip: ['actor_ip', 'actorIp'],
+    user_agent: ['user_agent', 'userAgent']
+};
+
+/**
+ * Map raw record of any supported export onto the internal event shape
+ * @param {Object} record - Raw record
+ * @returns {Object|null} - Event with numeric @timestamp, null if unusable
+ */
+export function normalizeEvent(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) return null;
+
+    const event = { ...record };
+
+    for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+        const value = pick(record, aliases);
+        if (value !== undefined) event[field] = value;
+    }
+
+    if (!event.action) return null;
+
+    // Время: @timestamp, иначе created_at (мс или ISO)
+    let timestamp = toMillis(pick(record, ['@timestamp', 'timestamp']));
+    if (isNaN(timestamp)) timestamp = toMillis(pick(record, ['created_at', 'createdAt']));
+    if (isNaN(timestamp)) return null;
+    event['@timestamp'] = timestamp;
+
+    // Страна
+    const country = record.actor_location?.country_code ||
+        record.actorLocation?.countryCode ||
+        record.country_code;
+    if (country) {
+        event.actor_location = { ...record.actor_location, country_code: country };
+    }
+
+    return event;
+}
+
+/**
+ * Get event timestamp in milliseconds
+ * @param {Object} event - Log event
+ * @returns {number}
+ */
+export function getEventTime(event) {
+    if (typeof event['@timestamp'] === 'number') {
+        return event['@timestamp'];
+    }
+    return Date.parse(event.created_at || event['@timestamp']) || 0;
+}
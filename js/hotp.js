@@ -0,0 +1,57 @@
+/**
+ * HOTP Counter
+ * Remembers how far the counter of an HOTP secret has advanced, so that
+ * re-renders and reloads of the same link never go back to codes the
+ * server has already accepted
+ *
+ * Stored in localStorage under a digest of the secret, never the secret itself
+ */
+
+import { createSHA256 } from './sha256.js';
+
+/**
+ * localStorage key prefix, followed by digest of the secret
+ */
+const COUNTER_KEY_PREFIX = 'checkghp:hotpCounter:';
+
+/**
+ * Get storage key of a secret
+ * @param {string} secret - Normalised base32 secret
+ * @returns {string}
+ */
+function getStorageKey(secret) {
+    const hasher = createSHA256();
+    hasher.update(new TextEncoder().encode(`hotp:${secret}`));
+    return COUNTER_KEY_PREFIX + hasher.digestHex().slice(0, 32);
+}
+
+/**
+ * Load counter of a secret
+ * @param {string} secret - Normalised base32 secret
+ * @param {number} counter - Counter from the link
+ * @returns {number} - Saved counter if it is ahead of the link, else the link's
+ */
+export function loadHOTPCounter(secret, counter) {
+    try {
+        const saved = Number(localStorage.getItem(getStorageKey(secret)));
+        if (Number.isSafeInteger(saved) && saved > counter) {
+            return saved;
+        }
+    } catch (e) {
+        // Storage disabled
+    }
+    return counter;
+}
+
+/**
+ * Save counter of a secret
+ * @param {string} secret - Normalised base32 secret
+ * @param {number} counter - Next unused counter
+ */
+export function saveHOTPCounter(secret, counter) {
+    try {
+        localStorage.setItem(getStorageKey(secret), String(counter));
+    } catch (e) {
+        // Storage disabled, the counter lasts until reload
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * Internationalisation
+ * Message catalogues with plural forms, locale detection and persistence,
+ * and the time zone used for dates
+ * Only applyTranslations touches the DOM, so analysis modules can use
+ * this in the worker and in Node as well
+ */
+
+import { MESSAGES_RU } from './locales/ru.js';
+import { MESSAGES_EN } from './locales/en.js';
+
+/**
+ * Supported locales
+ */
+export const LOCALES = {
+    ru: { name: 'Русский', tag: 'ru-RU', messages: MESSAGES_RU },
+    en: { name: 'English', tag: 'en-US', messages: MESSAGES_EN }
+};
+
+/**
+ * Locale used when the browser prefers none of the supported ones
+ */
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Catalogue messages fall back to (the source language)
+ */
+const FALLBACK_LOCALE = 'ru';
+
+/**
+ * localStorage keys
+ */
+const LOCALE_KEY = 'checkghp:locale';
+const TIMEZONE_KEY = 'checkghp:timezone';
+
+// Locale change listeners
+const listeners = new Set();
+
+/**
+ * Read persisted setting
+ * @param {string} key - localStorage key
+ * @returns {string|null} - Value, null if missing or storage is unavailable
+ */
+function readSetting(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Persist setting, ignoring unavailable storage
+ * @param {string} key - localStorage key
+ * @param {string|null} value - Value, null removes it
+ */
+function writeSetting(key, value) {
+    try {
+        if (value === null) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, value);
+        }
+    } catch (e) {
+        // Worker, Node or storage disabled
+    }
+}
+
+/**
+ * Detect locale: saved choice first, then preferred languages
+ * @param {Array<string>} [languages] - Preferred languages, navigator.languages by default
+ * @returns {string} - Locale code
+ */
+export function detectLocale(languages) {
+    const saved = readSetting(LOCALE_KEY);
+    if (saved && LOCALES[saved]) return saved;
+
+    const preferred = languages ||
+        (typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []);
+
+    for (const language of preferred) {
+        const base = String(language || '').toLowerCase().split(/[-_.]/)[0];
+        if (LOCALES[base]) return base;
+    }
+
+    return DEFAULT_LOCALE;
+}
+
+let currentLocale = detectLocale();
+let currentTimeZone = readSetting(TIMEZONE_KEY) || null;
+
+/**
+ * Get current locale code
+ * @returns {string} - e.g. "ru"
+ */
+export function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Get BCP 47 tag of current locale for Intl APIs
+ * @returns {string} - e.g. "ru-RU"
+ */
+export function getLocaleTag() {
+    return LOCALES[currentLocale].tag;
+}
+
+/**
+ * Get chosen time zone
+ * @returns {string|undefined} - IANA zone, undefined for the system zone
+ */
+export function getTimeZone() {
+    return currentTimeZone || undefined;
+}
+
+/**
+ * Get system time zone
+ * @returns {string}
+ */
+export function getSystemTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Notify listeners about changed locale or time zone
+ */
+function notify() {
+    for (const listener of listeners) {
+        listener(currentLocale);
+    }
+}
+
+/**
+ * Switch locale and remember the choice
+ * @param {string} locale - Locale code
+ * @param {Object} [options]
+ * @param {boolean} [options.persist=true] - Save to localStorage
+ */
+export function setLocale(locale, { persist = true } = {}) {
+    if (!LOCALES[locale]) return;
+    if (persist) writeSetting(LOCALE_KEY, locale);
+    if (locale === currentLocale) return;
+    currentLocale = locale;
+    notify();
+}
+
+/**
+ * Switch time zone used for dates and remember the choice
+ * @param {string|null} timeZone - IANA zone, null for the system zone
+ */
+export function setTimeZone(timeZone) {
+    const value = timeZone || null;
+    writeSetting(TIMEZONE_KEY, value);
+    if (value === currentTimeZone) return;
+    currentTimeZone = value;
+    notify();
+}
+
+/**
+ * Subscribe to locale and time zone changes
+ * @param {Function} listener - Called with new locale code
+ * @returns {Function} - Unsubscribes
+ */
+export function onLocaleChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Translate message
+ * Plural messages are objects keyed by Intl.PluralRules category and use
+ * params.count; {name} placeholders are replaced by params, numbers are
+ * formatted for the locale
+ * @param {string} key - Message key
+ * @param {Object} [params] - Placeholder values
+ * @returns {string} - Translated text, the key itself if unknown
+ */
+export function t(key, params = {}) {
+    const message = LOCALES[currentLocale].messages[key] ?? LOCALES[FALLBACK_LOCALE].messages[key];
+    if (message === undefined) {
+        console.warn('Missing message:', key);
+        return key;
+    }
+
+    let text = message;
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(getLocaleTag()).select(params.count);
+        text = message[category] ?? message.other;
+    }
+
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        const value = params[name];
+        return typeof value === 'number' ? value.toLocaleString(getLocaleTag()) : String(value);
+    });
+}
+
+/**
+ * Translate static markup
+ * data-i18n sets text, data-i18n-html sets trusted catalogue markup,
+ * data-i18n-attr="title:key;aria-label:key" sets attributes
+ * @param {ParentNode} [root=document] - Subtree to translate
+ */
+export function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach((el) => {
+        el.textContent = t(el.dataset.i18n);
+    });
+
+    root.querySelectorAll('[data-i18n-html]').forEach((el) => {
+        el.innerHTML = t(el.dataset.i18nHtml);
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach((el) => {
+        for (const pair of el.dataset.i18nAttr.split(';')) {
+            const [attribute, key] = pair.split(':');
+            el.setAttribute(attribute.trim(), t(key.trim()));
+        }
+    });
+
+    if (root === document) {
+        document.documentElement.lang = currentLocale;
+        document.title = t('page.title');
+    }
+}
@@ -0,0 +1,372 @@
+/**
+ * English Messages
+ * Missing keys fall back to the Russian catalogue
+ * Plural messages are keyed by Intl.PluralRules category (one, other)
+ */
+
+export const MESSAGES_EN = {
+    'page.title': 'GitHub Education - Student Developer Pack',
+
+    // Common
+    'common.unknown': 'Unknown',
+    'common.noData': 'No data',
+    'common.andMore': 'and {count} more',
+    'common.copy': 'Copy',
+    'common.copied': 'Copied to clipboard',
+    'common.copyFailed': 'Copy failed',
+
+    'units.b': 'B',
+    'units.kb': 'KB',
+    'units.mb': 'MB',
+    'units.gb': 'GB',
+    'units.minutes': '{count} min',
+    'units.hours': '{count} h',
+    'units.days': {
+        one: '{count} day',
+        other: '{count} days'
+    },
+
+    'clipboard.setting': 'Clear clipboard',
+    'clipboard.never': 'never',
+    'clipboard.after': 'after {count} s',
+    'clipboard.countdown': 'Copied · clipboard clears in {count} s',
+    'clipboard.cleared': 'Clipboard cleared',
+    'clipboard.failed': 'Could not clear the clipboard, please clear it manually',
+    'clipboard.onReturn': 'The clipboard will be cleared when you return to this page',
+    'clipboard.kept': 'Clipboard not cleared: something may have been copied outside this page since',
+
+    'scrub.setting': 'Data in the address bar',
+    'scrub.off': 'keep',
+    'scrub.memory': 'remove, keep until reload',
+    'scrub.session': 'remove, keep until the tab closes',
+    'scrub.hint': 'With “keep until the tab closes” the data stays in this tab’s storage. Data from a passphrase-protected link stays encrypted there, and the passphrase is asked again after a reload',
+    'burn.setting': 'Wipe from the page',
+    'burn.never': 'never',
+    'burn.after': 'after {count} min',
+    'burn.at': 'Will be wiped {time}',
+    'burn.title': 'Data wiped',
+    'burn.hint': 'The data was wiped by the timer. Open the link again to see it',
+
+    'locale.language': 'Language',
+    'locale.timeZone': 'Time zone',
+    'locale.systemTimeZone': 'System ({zone})',
+
+    // Credentials panel
+    'credentials.username': 'Username',
+    'credentials.email': 'Email',
+    'credentials.password': 'Password',
+    'credentials.twofa': '2FA Secret',
+    'credentials.token': 'Personal Access Token',
+    'credentials.recoveryCodes': 'Recovery codes',
+    'credentials.notes': 'Notes',
+    'credentials.reveal': 'Show',
+    'credentials.hide': 'Hide',
+    'credentials.revealAll': 'Show all',
+    'credentials.hideAll': 'Hide all',
+    'credentials.invalidTitle': 'Invalid data',
+    'credentials.missingTitle': 'No data found',
+    'credentials.missingHint': 'Add base64 data after the # sign in the URL',
+
+    'recovery.download': 'Download',
+    'recovery.hint': 'Each code works once. Tick the ones you have used, marks stay in this browser only',
+    'recovery.remaining': {
+        one: '{count} of {total} codes left',
+        other: '{count} of {total} codes left'
+    },
+
+    'credentialsError.notObject': 'Data must be a JSON object',
+    'credentialsError.version': 'Unsupported format version: {version}',
+    'credentialsError.versionMissing': 'not specified',
+    'credentialsError.fieldString': 'Field “{field}” must be a string',
+    'credentialsError.recoveryCodes': 'Field “recoveryCodes” must be an array of strings',
+    'credentialsError.noLogin': 'Neither email nor username is specified',
+    'credentialsError.legacyFormat': 'Expected format email:password:2fa:token',
+    'credentialsError.json': 'Data contains invalid JSON',
+    'credentialsError.base64': 'Data is not a valid base64 string',
+
+    'tokens.type.classic': 'Classic personal access token',
+    'tokens.type.fineGrained': 'Fine-grained personal access token',
+    'tokens.type.oauth': 'OAuth access token',
+    'tokens.type.userToServer': 'GitHub App user access token',
+    'tokens.type.serverToServer': 'GitHub App installation token',
+    'tokens.type.refresh': 'GitHub App refresh token',
+    'tokens.type.legacy': 'Legacy token (40 hex)',
+    'tokens.type.unknown': 'Unknown token',
+    'tokens.checksumValid': 'checksum valid',
+    'tokens.formatValid': 'format valid',
+    'tokens.whitespace': 'The token contains spaces or line breaks',
+    'tokens.unknownFormat': 'This does not look like a GitHub token',
+    'tokens.truncated': {
+        one: 'The token is truncated: {count} character missing',
+        other: 'The token is truncated: {count} characters missing'
+    },
+    'tokens.tooLong': {
+        one: '{count} extra character at the end of the token',
+        other: '{count} extra characters at the end of the token'
+    },
+    'tokens.characters': 'The token contains invalid characters',
+    'tokens.checksum': 'Checksum mismatch: the token is damaged or was copied incorrectly',
+
+    'passphrase.title': 'Data is encrypted',
+    'passphrase.hint': 'Enter the passphrase to decrypt the link',
+    'passphrase.label': 'Passphrase',
+    'passphrase.submit': 'Decrypt',
+    'passphrase.wrong': 'Wrong passphrase',
+    'passphrase.damaged': 'The link is damaged',
+
+    'seal.title': 'Passphrase-protected link',
+    'seal.hint': 'Encrypts the data shown on this page into a link that opens only with the passphrase. Send the passphrase over a different channel than the link',
+    'seal.passphrase': 'Passphrase',
+    'seal.confirm': 'Repeat passphrase',
+    'seal.submit': 'Copy protected link',
+    'seal.sealing': 'Encrypting…',
+    'seal.mismatch': 'The passphrases do not match',
+    'seal.done': 'Protected link copied. Open it once to check the passphrase',
+
+    'secret.empty': 'The 2FA secret is empty',
+    'secret.characters': 'Invalid characters in the secret: {chars}. Base32 only has letters A–Z and digits 2–7 (0, 1 and 8 are often confused with O, I and B)',
+    'secret.length': 'Wrong secret length: it is probably truncated or has an extra character',
+    'secret.padding': 'Wrong padding: “=” is only allowed at the end and in the right amount',
+    'secret.short': 'The secret is too short: {bits} bits instead of at least {min}',
+    'secret.uri': 'Invalid otpauth:// link',
+    'totp.invalidSecret': 'The 2FA secret is invalid, codes would be rejected. Check it against the original link',
+    'totp.copyHint': 'Click to copy',
+    'totp.next': 'Next code',
+    'totp.previous': 'Previous',
+    'totp.following': 'Next',
+    'totp.offset': 'Clock offset, s',
+    'totp.verify': 'Verify a code from your app',
+    'totp.verifyMatch': 'The code matches, clocks are in sync',
+    'totp.verifyAhead': {
+        one: 'The code matched {count} step ahead: the app clock is about {seconds} s fast',
+        other: 'The code matched {count} steps ahead: the app clock is about {seconds} s fast'
+    },
+    'totp.verifyBehind': {
+        one: 'The code matched {count} step behind: the app clock is about {seconds} s slow',
+        other: 'The code matched {count} steps behind: the app clock is about {seconds} s slow'
+    },
+    'totp.verifyNone': 'The code did not match within ±{count} steps: check the secret in your app',
+    'totp.applyOffset': 'Apply offset',
+
+    'qr.title': 'QR code for your app',
+    'qr.hint': 'Scan with Yandex Key or Google Authenticator',
+    'qr.reveal': 'Click to show',
+    'qr.migrationHint': 'In Google Authenticator: “Transfer accounts” → “Import accounts”',
+    'qr.formatStandard': 'Any app',
+    'qr.formatMigration': 'Google Authenticator transfer',
+
+    'export.title': 'Backup file:',
+    'export.hint': 'QR codes and files carry the secret unencrypted, keep them like a password',
+    'export.migrationDigits': 'Google Authenticator does not support {digits}-digit codes',
+    'export.migrationPeriod': 'Google Authenticator only supports a 30 s period, this secret uses {period} s',
+
+    'import.title': 'Import 2FA',
+    'import.hint': 'Choose or paste (Ctrl+V) a screenshot of a QR code, or paste an otpauth:// or otpauth-migration:// link. The image is decoded on this device and never uploaded',
+    'import.chooseImage': 'Choose image',
+    'import.linkPlaceholder': 'otpauth://… or otpauth-migration://…',
+    'import.decoding': 'Reading QR code…',
+    'import.notImage': 'The file is not an image or is damaged',
+    'import.noQR': 'No QR code found in the image',
+    'import.notOTP': 'This is not an otpauth:// or otpauth-migration:// link',
+    'import.invalidLink': 'The otpauth:// link is damaged or has invalid parameters',
+    'import.migrationInvalid': 'The Google Authenticator transfer data is damaged or not supported',
+    'import.choose': {
+        one: 'The transfer holds {count} account, choose it:',
+        other: 'The transfer holds {count} accounts, choose one:'
+    },
+    'import.done': '2FA secret imported: {account}',
+
+    'pwa.updated': 'A new version of the page has been downloaded',
+    'pwa.reload': 'Reload',
+    'pwa.offlineReady': 'The page is saved and will work offline',
+
+    'apps.title': 'Get a 2FA app',
+    'apps.yandexName': 'Yandex Key',
+    'apps.yandexDescription': 'Password manager and 2FA',
+    'apps.googleDescription': '2FA by Google',
+
+    // Logs panel
+    'logs.title': 'Security log analysis',
+    'logs.subtitle': 'Upload the Security Log export from your GitHub settings',
+    'logs.unchanged': 'Account unchanged',
+    'logs.changed': 'Changes detected',
+    'logs.email': 'Email:',
+    'logs.created': 'Created:',
+    'logs.analyzed': {
+        one: 'Analyzed {count} event',
+        other: 'Analyzed {count} events'
+    },
+    'logs.events': {
+        one: '{count} event',
+        other: '{count} events'
+    },
+    'logs.showEvents': 'Show events',
+    'logs.checkEvents': 'Events of check “{name}”',
+    'logs.userRule': 'custom',
+
+    'upload.drop': 'Drop the file here',
+    'upload.browse': 'or click to choose',
+    'upload.hint': 'Supported: JSON, CSV, .gz and .zip — security log or organization audit log',
+    'upload.loading': 'Loading file...',
+    'upload.cancel': 'Cancel',
+    'upload.progress': '{percent}% · {read} of {total} · {events}',
+    'upload.analyzing': 'Analyzing logs...',
+    'upload.failed': 'Failed to process the file',
+    'upload.cancelled': 'Analysis cancelled',
+    'upload.empty': 'The file contains no events',
+    'upload.error': 'Error: {error}',
+
+    'help.title': 'How to get the logs?',
+    'help.step1': 'Open <a href="https://github.com/settings/security-log" target="_blank">Settings → Security log</a>',
+    'help.step2': 'Click <strong>Export</strong> in the top right corner',
+    'help.step3': 'Choose the <strong>JSON</strong> format',
+    'help.step4': 'Download the <code>export-*.json.gz</code> file',
+    'help.step5': 'Upload it here',
+
+    'formats.invalidJson': 'The file is not valid JSON',
+    'formats.notArray': 'Expected a JSON array of events',
+    'formats.noDecompression': 'This browser does not support DecompressionStream. Use Chrome, Edge or Firefox.',
+    'formats.zipDamaged': 'Damaged zip archive',
+    'formats.zip64': 'ZIP64 archives are not supported',
+    'formats.zipEncrypted': 'Encrypted zip archives are not supported',
+    'formats.zipMethod': 'Unsupported compression method in archive: {method}',
+
+    // Checks
+    'severity.high': 'High',
+    'severity.medium': 'Medium',
+    'severity.low': 'Low',
+
+    'rule.email-unchanged': 'Email not changed',
+    'rule.password-unchanged': 'Password not changed',
+    'rule.two-factor-not-disabled': '2FA not disabled',
+    'rule.two-factor-not-reenabled': '2FA not re-enabled',
+    'rule.recovery-codes-unchanged': 'Recovery codes not regenerated',
+    'rule.security-keys-unchanged': 'No security keys or passkeys added',
+    'rule.ssh-keys-unchanged': 'No SSH keys added',
+    'rule.tokens-unchanged': 'No access tokens created',
+    'rule.oauth-apps-unchanged': 'No OAuth apps authorized',
+    'rule.gpg-keys-unchanged': 'No GPG keys added',
+    'rule.username-unchanged': 'Username not changed',
+
+    'rules.title': 'Check rules',
+    'rules.hint': 'Custom rules as JSON. A rule with the id of a built-in one replaces it, <code>"enabled": false</code> disables it.',
+    'rules.label': 'Rules',
+    'rules.save': 'Save',
+    'rules.import': 'Import',
+    'rules.export': 'Export',
+    'rules.builtin': 'Built-in rules',
+    'rules.count': '{count} custom',
+    'rules.saved': 'Rules saved',
+    'rules.builtinLoaded': 'Built-in rules loaded into the editor, click “Save” to override them',
+
+    'rulesError.rule': 'Rule #{index}',
+    'rulesError.named': '{where} “{id}”',
+    'rulesError.condition': '{where}, condition #{index}',
+    'rulesError.notObject': '{where}: must be an object',
+    'rulesError.noId': '{where}: “id” is missing',
+    'rulesError.noName': '{where}: “name” is missing',
+    'rulesError.severity': '{where}: “severity” must be one of {allowed}',
+    'rulesError.action': '{where}: “action” must be a string or an array of strings',
+    'rulesError.threshold': '{where}: “threshold” must be an integer ≥ 0',
+    'rulesError.message': '{where}: “message” must be a string',
+    'rulesError.conditions': '{where}: “conditions” must be an array',
+    'rulesError.field': '{where}: “field” is missing',
+    'rulesError.operator': '{where}: unknown operator “{op}”',
+    'rulesError.valueArray': '{where}: “value” must be an array for “{op}”',
+    'rulesError.valueBoolean': '{where}: “value” must be true or false for “exists”',
+    'rulesError.regexp': '{where}: invalid regular expression',
+    'rulesError.notArray': 'A rule set must be a JSON array',
+    'rulesError.duplicate': '{where}: duplicate id “{id}”',
+    'rulesError.json': 'Invalid JSON: {error}',
+    'rulesError.storage': 'Could not save the rules: browser storage is full or disabled',
+
+    // Locations
+    'locations.title': 'Locations and sessions',
+    'locations.countries': 'Countries',
+    'locations.ips': 'IP addresses',
+    'locations.clients': 'Clients',
+    'locations.noAlerts': 'No suspicious movements found',
+
+    'alert.newCountry': 'New country',
+    'alert.impossibleTravel': 'Impossible travel',
+    'alert.userAgentChange': 'Client change',
+    'alert.newCountryMessage': 'New country: {country}',
+    'alert.travelMessage': '{from} → {to}: {distance} km in {elapsed}',
+    'alert.travelShortMessage': '{from} → {to} in {elapsed}',
+    'alert.userAgentMessage': 'Client change: {from} → {to}',
+
+    // Timeline
+    'timeline.title': 'Events',
+    'timeline.showAll': 'Show all',
+    'timeline.from': 'From date',
+    'timeline.to': 'To date',
+    'timeline.country': 'Country',
+    'timeline.allCountries': 'All countries',
+    'timeline.empty': 'No events match the filters',
+    'timeline.filtered': '{shown} of {total}',
+
+    // Baseline
+    'baseline.title': 'Baseline comparison',
+    'baseline.noIndexedDB': 'This browser does not support IndexedDB',
+    'baseline.unavailable': 'Baseline unavailable: {error}',
+    'baseline.noActor': 'The export has no account login, so no baseline can be saved for it.',
+    'baseline.missing': 'There is no baseline for {actor}. Save the current analysis to see only the changes next time.',
+    'baseline.sameFile': 'This is the same file as in the baseline.',
+    'baseline.passed': 'passed',
+    'baseline.failed': 'failed',
+    'baseline.newEvents': {
+        one: '+{count} new event',
+        other: '+{count} new events'
+    },
+    'baseline.noNewEvents': 'No new events',
+    'baseline.changedChecks': {
+        one: '{count} check changed status',
+        other: '{count} checks changed status'
+    },
+    'baseline.noChangedChecks': 'Check statuses unchanged',
+    'baseline.meta': 'Baseline from {date} · {file} · {events}',
+    'baseline.save': 'Save as baseline',
+    'baseline.update': 'Update baseline',
+    'baseline.delete': 'Delete baseline',
+    'baseline.newEventsFocus': 'New events since the baseline was saved',
+
+    // Report
+    'report.export': 'Export report:',
+    'report.printable': 'Printable HTML',
+    'report.fingerprint': 'SHA-256 of the uploaded file',
+    'report.title': 'Account integrity report for {username}',
+    'report.result': 'Result',
+    'report.email': 'Email',
+    'report.created': 'Created',
+    'report.range': 'Export period',
+    'report.events': 'Events',
+    'report.file': 'File',
+    'report.bytes': {
+        one: '{count} byte',
+        other: '{count} bytes'
+    },
+    'report.generated': 'Generated',
+    'report.checks': 'Checks',
+    'report.status': 'Status',
+    'report.check': 'Check',
+    'report.severity': 'Severity',
+    'report.rule': 'Rule',
+    'report.count': 'Events',
+    'report.time': 'Time',
+    'report.action': 'Action',
+    'report.actor': 'User',
+    'report.country': 'Country',
+
+    // Command line
+    'cli.usage': `Usage: analyze [--json] [--rules rules.json] <export-file> ...
+
+  --json          print the report as JSON (schema checkghp-report/1)
+  --rules <file>  apply custom rules on top of the built-in ones
+  -h, --help      show this help
+
+Exit code: 0 — all checks passed, 1 — some checks failed, 2 — error`,
+    'cli.rulesPath': '--rules requires a file path',
+    'cli.unknownOption': 'Unknown option: {option}',
+    'cli.empty': '{path}: the file contains no events',
+    'cli.error': 'Error: {error}'
+};
@@ -0,0 +1,391 @@
+/**
+ * Russian Messages
+ * Source catalogue, every key must exist here
+ * Plural messages are keyed by Intl.PluralRules category (one, few, many, other)
+ */
+
+export const MESSAGES_RU = {
+    'page.title': 'GitHub Education - Student Developer Pack',
+
+    // Common
+    'common.unknown': 'Неизвестно',
+    'common.noData': 'Нет данных',
+    'common.andMore': 'и ещё {count}',
+    'common.copy': 'Копировать',
+    'common.copied': 'Скопировано в буфер обмена',
+    'common.copyFailed': 'Ошибка копирования',
+
+    'units.b': 'Б',
+    'units.kb': 'КБ',
+    'units.mb': 'МБ',
+    'units.gb': 'ГБ',
+    'units.minutes': '{count} мин',
+    'units.hours': '{count} ч',
+    'units.days': '{count} дн',
+
+    'clipboard.setting': 'Очищать буфер',
+    'clipboard.never': 'никогда',
+    'clipboard.after': 'через {count} с',
+    'clipboard.countdown': 'Скопировано · буфер очистится через {count} с',
+    'clipboard.cleared': 'Буфер обмена очищен',
+    'clipboard.failed': 'Не удалось очистить буфер обмена, очистите его вручную',
+    'clipboard.onReturn': 'Буфер очистится, когда вы вернётесь на эту страницу',
+    'clipboard.kept': 'Буфер не очищен: за пределами страницы могли скопировать что-то другое',
+
+    'scrub.setting': 'Данные в адресной строке',
+    'scrub.off': 'оставлять',
+    'scrub.memory': 'убирать, хранить до перезагрузки',
+    'scrub.session': 'убирать, хранить до закрытия вкладки',
+    'scrub.hint': 'В режиме «хранить до закрытия вкладки» данные лежат в хранилище этой вкладки. Данные ссылки, защищённой паролем, лежат там зашифрованными, и после перезагрузки пароль спрашивается снова',
+    'burn.setting': 'Стереть со страницы',
+    'burn.never': 'никогда',
+    'burn.after': 'через {count} мин',
+    'burn.at': 'Будут стёрты {time}',
+    'burn.title': 'Данные стёрты',
+    'burn.hint': 'Данные стёрты по таймеру. Откройте ссылку ещё раз, чтобы снова их увидеть',
+
+    'locale.language': 'Язык',
+    'locale.timeZone': 'Часовой пояс',
+    'locale.systemTimeZone': 'Системный ({zone})',
+
+    // Credentials panel
+    'credentials.username': 'Имя пользователя',
+    'credentials.email': 'Почта',
+    'credentials.password': 'Пароль',
+    'credentials.twofa': '2FA Secret',
+    'credentials.token': 'Personal Access Token',
+    'credentials.recoveryCodes': 'Коды восстановления',
+    'credentials.notes': 'Заметки',
+    'credentials.reveal': 'Показать',
+    'credentials.hide': 'Скрыть',
+    'credentials.revealAll': 'Показать все',
+    'credentials.hideAll': 'Скрыть все',
+    'credentials.invalidTitle': 'Некорректные данные',
+    'credentials.missingTitle': 'Данные не найдены',
+    'credentials.missingHint': 'Добавьте данные в формате base64 после знака # в URL',
+
+    'recovery.download': 'Скачать',
+    'recovery.hint': 'Каждый код срабатывает один раз. Отмечайте использованные, отметки хранятся только в этом браузере',
+    'recovery.remaining': {
+        one: 'Остался {count} код из {total}',
+        few: 'Осталось {count} кода из {total}',
+        many: 'Осталось {count} кодов из {total}',
+        other: 'Осталось {count} кода из {total}'
+    },
+
+    'credentialsError.notObject': 'Данные должны быть JSON-объектом',
+    'credentialsError.version': 'Неподдерживаемая версия формата: {version}',
+    'credentialsError.versionMissing': 'не указана',
+    'credentialsError.fieldString': 'Поле «{field}» должно быть строкой',
+    'credentialsError.recoveryCodes': 'Поле «recoveryCodes» должно быть массивом строк',
+    'credentialsError.noLogin': 'Не указаны ни почта, ни имя пользователя',
+    'credentialsError.legacyFormat': 'Ожидается формат почта:пароль:2fa:токен',
+    'credentialsError.json': 'Некорректный JSON в данных',
+    'credentialsError.base64': 'Данные не являются корректной строкой base64',
+
+    'tokens.type.classic': 'Классический персональный токен',
+    'tokens.type.fineGrained': 'Fine-grained персональный токен',
+    'tokens.type.oauth': 'OAuth-токен',
+    'tokens.type.userToServer': 'Токен пользователя GitHub App',
+    'tokens.type.serverToServer': 'Токен установки GitHub App',
+    'tokens.type.refresh': 'Refresh-токен GitHub App',
+    'tokens.type.legacy': 'Токен старого формата (40 hex)',
+    'tokens.type.unknown': 'Неизвестный токен',
+    'tokens.checksumValid': 'контрольная сумма верна',
+    'tokens.formatValid': 'формат верен',
+    'tokens.whitespace': 'Токен содержит пробелы или переносы строк',
+    'tokens.unknownFormat': 'Формат не похож на токен GitHub',
+    'tokens.truncated': {
+        one: 'Токен обрезан: не хватает {count} символа',
+        few: 'Токен обрезан: не хватает {count} символов',
+        many: 'Токен обрезан: не хватает {count} символов',
+        other: 'Токен обрезан: не хватает {count} символа'
+    },
+    'tokens.tooLong': {
+        one: 'Лишний {count} символ в конце токена',
+        few: 'Лишние {count} символа в конце токена',
+        many: 'Лишние {count} символов в конце токена',
+        other: 'Лишние {count} символа в конце токена'
+    },
+    'tokens.characters': 'Токен содержит недопустимые символы',
+    'tokens.checksum': 'Контрольная сумма не совпадает: токен повреждён или скопирован с ошибкой',
+
+    'passphrase.title': 'Данные зашифрованы',
+    'passphrase.hint': 'Введите фразу-пароль, чтобы расшифровать ссылку',
+    'passphrase.label': 'Фраза-пароль',
+    'passphrase.submit': 'Расшифровать',
+    'passphrase.wrong': 'Неверная фраза-пароль',
+    'passphrase.damaged': 'Ссылка повреждена',
+
+    'seal.title': 'Ссылка с паролем',
+    'seal.hint': 'Шифрует данные этой страницы в ссылку, которая открывается только с фразой-паролем. Передавайте фразу-пароль другим каналом, не вместе со ссылкой',
+    'seal.passphrase': 'Фраза-пароль',
+    'seal.confirm': 'Повторите фразу-пароль',
+    'seal.submit': 'Скопировать защищённую ссылку',
+    'seal.sealing': 'Шифрование…',
+    'seal.mismatch': 'Фразы-пароли не совпадают',
+    'seal.done': 'Защищённая ссылка скопирована. Откройте её один раз, чтобы проверить фразу-пароль',
+
+    'secret.empty': 'Секрет 2FA пуст',
+    'secret.characters': 'Недопустимые символы в секрете: {chars}. В base32 есть только буквы A–Z и цифры 2–7 (0, 1 и 8 часто путают с O, I и B)',
+    'secret.length': 'Неверная длина секрета: вероятно, он обрезан или в нём лишний символ',
+    'secret.padding': 'Неверное выравнивание: знаки «=» допустимы только в конце и в правильном количестве',
+    'secret.short': 'Секрет слишком короткий: {bits} бит вместо минимум {min}',
+    'secret.uri': 'Некорректная ссылка otpauth://',
+    'totp.invalidSecret': 'Секрет 2FA некорректен, коды не будут приняты. Проверьте его по исходной ссылке',
+    'totp.copyHint': 'Нажмите, чтобы скопировать',
+    'totp.next': 'Следующий код',
+    'totp.previous': 'Предыдущий',
+    'totp.following': 'Следующий',
+    'totp.offset': 'Поправка часов, с',
+    'totp.verify': 'Проверить код из приложения',
+    'totp.verifyMatch': 'Код совпадает, часы синхронизированы',
+    'totp.verifyAhead': {
+        one: 'Код совпал на {count} шаг вперёд: часы приложения спешат примерно на {seconds} с',
+        few: 'Код совпал на {count} шага вперёд: часы приложения спешат примерно на {seconds} с',
+        many: 'Код совпал на {count} шагов вперёд: часы приложения спешат примерно на {seconds} с',
+        other: 'Код совпал на {count} шага вперёд: часы приложения спешат примерно на {seconds} с'
+    },
+    'totp.verifyBehind': {
+        one: 'Код совпал на {count} шаг назад: часы приложения отстают примерно на {seconds} с',
+        few: 'Код совпал на {count} шага назад: часы приложения отстают примерно на {seconds} с',
+        many: 'Код совпал на {count} шагов назад: часы приложения отстают примерно на {seconds} с',
+        other: 'Код совпал на {count} шага назад: часы приложения отстают примерно на {seconds} с'
+    },
+    'totp.verifyNone': 'Код не совпал в пределах ±{count} шагов: проверьте секрет в приложении',
+    'totp.applyOffset': 'Учесть разницу',
+
+    'qr.title': 'QR-код для приложения',
+    'qr.hint': 'Сканируйте в Яндекс.Ключ или Google Authenticator',
+    'qr.reveal': 'Нажмите, чтобы показать',
+    'qr.migrationHint': 'В Google Authenticator: «Перенести аккаунты» → «Импортировать аккаунты»',
+    'qr.formatStandard': 'Любое приложение',
+    'qr.formatMigration': 'Перенос в Google Authenticator',
+
+    'export.title': 'Резервная копия:',
+    'export.hint': 'QR-коды и файлы содержат секрет без шифрования, храните их как пароль',
+    'export.migrationDigits': 'Google Authenticator не поддерживает коды из {digits} цифр',
+    'export.migrationPeriod': 'Google Authenticator поддерживает только период 30 с, у этого секрета {period} с',
+
+    'import.title': 'Импорт 2FA',
+    'import.hint': 'Выберите или вставьте (Ctrl+V) скриншот QR-кода либо вставьте ссылку otpauth:// или otpauth-migration://. Изображение распознаётся на этом устройстве и никуда не отправляется',
+    'import.chooseImage': 'Выбрать изображение',
+    'import.linkPlaceholder': 'otpauth://… или otpauth-migration://…',
+    'import.decoding': 'Распознавание QR-кода…',
+    'import.notImage': 'Файл не является изображением или повреждён',
+    'import.noQR': 'QR-код на изображении не найден',
+    'import.notOTP': 'Это не ссылка otpauth:// или otpauth-migration://',
+    'import.invalidLink': 'Ссылка otpauth:// повреждена или содержит неверные параметры',
+    'import.migrationInvalid': 'Данные переноса Google Authenticator повреждены или не поддерживаются',
+    'import.choose': {
+        one: 'В переносе {count} аккаунт, выберите его:',
+        few: 'В переносе {count} аккаунта, выберите нужный:',
+        many: 'В переносе {count} аккаунтов, выберите нужный:',
+        other: 'В переносе {count} аккаунта, выберите нужный:'
+    },
+    'import.done': 'Секрет 2FA импортирован: {account}',
+
+    'pwa.updated': 'Загружена новая версия страницы',
+    'pwa.reload': 'Перезагрузить',
+    'pwa.offlineReady': 'Страница сохранена и будет работать без интернета',
+
+    'apps.title': 'Скачать приложение для 2FA',
+    'apps.yandexName': 'Яндекс.Ключ',
+    'apps.yandexDescription': 'Менеджер паролей и 2FA',
+    'apps.googleDescription': '2FA от Google',
+
+    // Logs panel
+    'logs.title': 'Анализ логов безопасности',
+    'logs.subtitle': 'Загрузите экспорт Security Log из настроек GitHub',
+    'logs.unchanged': 'Аккаунт не изменён',
+    'logs.changed': 'Обнаружены изменения',
+    'logs.email': 'Почта:',
+    'logs.created': 'Создан:',
+    'logs.analyzed': {
+        one: 'Проанализировано {count} событие',
+        few: 'Проанализировано {count} события',
+        many: 'Проанализировано {count} событий',
+        other: 'Проанализировано {count} события'
+    },
+    'logs.events': {
+        one: '{count} событие',
+        few: '{count} события',
+        many: '{count} событий',
+        other: '{count} события'
+    },
+    'logs.showEvents': 'Показать события',
+    'logs.checkEvents': 'События проверки «{name}»',
+    'logs.userRule': 'пользовательское',
+
+    'upload.drop': 'Перетащите файл сюда',
+    'upload.browse': 'или нажмите для выбора',
+    'upload.hint': 'Поддерживается: JSON, CSV, .gz и .zip — журнал безопасности или аудита организации',
+    'upload.loading': 'Загрузка файла...',
+    'upload.cancel': 'Отменить',
+    'upload.progress': '{percent}% · {read} из {total} · {events}',
+    'upload.analyzing': 'Анализ логов...',
+    'upload.failed': 'Ошибка обработки файла',
+    'upload.cancelled': 'Анализ отменён',
+    'upload.empty': 'Файл не содержит событий',
+    'upload.error': 'Ошибка: {error}',
+
+    'help.title': 'Как получить логи?',
+    'help.step1': 'Откройте <a href="https://github.com/settings/security-log" target="_blank">Settings → Security log</a>',
+    'help.step2': 'Нажмите <strong>Export</strong> в правом верхнем углу',
+    'help.step3': 'Выберите формат <strong>JSON</strong>',
+    'help.step4': 'Скачайте файл <code>export-*.json.gz</code>',
+    'help.step5': 'Загрузите его сюда',
+
+    'formats.invalidJson': 'Файл не является корректным JSON',
+    'formats.notArray': 'Ожидался массив событий JSON',
+    'formats.noDecompression': 'Браузер не поддерживает DecompressionStream. Используйте Chrome, Edge или Firefox.',
+    'formats.zipDamaged': 'Повреждённый zip-архив',
+    'formats.zip64': 'Архивы ZIP64 не поддерживаются',
+    'formats.zipEncrypted': 'Зашифрованные zip-архивы не поддерживаются',
+    'formats.zipMethod': 'Неподдерживаемый метод сжатия в архиве: {method}',
+
+    // Checks
+    'severity.high': 'Высокий',
+    'severity.medium': 'Средний',
+    'severity.low': 'Низкий',
+
+    'rule.email-unchanged': 'Почта не менялась',
+    'rule.password-unchanged': 'Пароль не менялся',
+    'rule.two-factor-not-disabled': '2FA не отключалась',
+    'rule.two-factor-not-reenabled': '2FA не включалась повторно',
+    'rule.recovery-codes-unchanged': 'Коды восстановления не перевыпускались',
+    'rule.security-keys-unchanged': 'Ключи безопасности и passkey не добавлялись',
+    'rule.ssh-keys-unchanged': 'SSH-ключи не добавлялись',
+    'rule.tokens-unchanged': 'Токены доступа не создавались',
+    'rule.oauth-apps-unchanged': 'OAuth-приложения не авторизовались',
+    'rule.gpg-keys-unchanged': 'GPG-ключи не добавлялись',
+    'rule.username-unchanged': 'Имя пользователя не менялось',
+
+    'rules.title': 'Правила проверки',
+    'rules.hint': 'Собственные правила в формате JSON. Правило с id встроенного заменяет его, <code>"enabled": false</code> — отключает.',
+    'rules.label': 'Правила',
+    'rules.save': 'Сохранить',
+    'rules.import': 'Импорт',
+    'rules.export': 'Экспорт',
+    'rules.builtin': 'Встроенные правила',
+    'rules.count': '{count} польз.',
+    'rules.saved': 'Правила сохранены',
+    'rules.builtinLoaded': 'Встроенные правила загружены в редактор, нажмите «Сохранить», чтобы переопределить их',
+
+    'rulesError.rule': 'Правило #{index}',
+    'rulesError.named': '{where} «{id}»',
+    'rulesError.condition': '{where}, условие #{index}',
+    'rulesError.notObject': '{where}: должно быть объектом',
+    'rulesError.noId': '{where}: не указан «id»',
+    'rulesError.noName': '{where}: не указано «name»',
+    'rulesError.severity': '{where}: «severity» должно быть одним из {allowed}',
+    'rulesError.action': '{where}: «action» должно быть строкой или массивом строк',
+    'rulesError.threshold': '{where}: «threshold» должно быть целым числом ≥ 0',
+    'rulesError.message': '{where}: «message» должно быть строкой',
+    'rulesError.conditions': '{where}: «conditions» должно быть массивом',
+    'rulesError.field': '{where}: не указано «field»',
+    'rulesError.operator': '{where}: неизвестный оператор «{op}»',
+    'rulesError.valueArray': '{where}: для «{op}» «value» должно быть массивом',
+    'rulesError.valueBoolean': '{where}: для «exists» «value» должно быть true или false',
+    'rulesError.regexp': '{where}: некорректное регулярное выражение',
+    'rulesError.notArray': 'Набор правил должен быть JSON-массивом',
+    'rulesError.duplicate': '{where}: повторяющийся id «{id}»',
+    'rulesError.json': 'Некорректный JSON: {error}',
+    'rulesError.storage': 'Не удалось сохранить правила: хранилище браузера переполнено или отключено',
+
+    // Locations
+    'locations.title': 'Местоположение и сессии',
+    'locations.countries': 'Страны',
+    'locations.ips': 'IP-адреса',
+    'locations.clients': 'Клиенты',
+    'locations.noAlerts': 'Подозрительных перемещений не обнаружено',
+
+    'alert.newCountry': 'Новая страна',
+    'alert.impossibleTravel': 'Невозможное перемещение',
+    'alert.userAgentChange': 'Смена клиента',
+    'alert.newCountryMessage': 'Новая страна: {country}',
+    'alert.travelMessage': '{from} → {to}: {distance} км за {elapsed}',
+    'alert.travelShortMessage': '{from} → {to} за {elapsed}',
+    'alert.userAgentMessage': 'Смена клиента: {from} → {to}',
+
+    // Timeline
+    'timeline.title': 'События',
+    'timeline.showAll': 'Показать все',
+    'timeline.from': 'С даты',
+    'timeline.to': 'По дату',
+    'timeline.country': 'Страна',
+    'timeline.allCountries': 'Все страны',
+    'timeline.empty': 'Нет событий по заданным фильтрам',
+    'timeline.filtered': '{shown} из {total}',
+
+    // Baseline
+    'baseline.title': 'Сравнение с эталоном',
+    'baseline.noIndexedDB': 'Браузер не поддерживает IndexedDB',
+    'baseline.unavailable': 'Эталон недоступен: {error}',
+    'baseline.noActor': 'В экспорте нет логина аккаунта, поэтому эталон для него сохранить нельзя.',
+    'baseline.missing': 'Эталона для {actor} нет. Сохраните текущий анализ, чтобы при следующей проверке видеть только изменения.',
+    'baseline.sameFile': 'Загружен тот же файл, что и в эталоне.',
+    'baseline.passed': 'пройдена',
+    'baseline.failed': 'не пройдена',
+    'baseline.newEvents': {
+        one: '+{count} новое событие',
+        few: '+{count} новых события',
+        many: '+{count} новых событий',
+        other: '+{count} новых события'
+    },
+    'baseline.noNewEvents': 'Новых событий нет',
+    'baseline.changedChecks': {
+        one: '{count} проверка изменила статус',
+        few: '{count} проверки изменили статус',
+        many: '{count} проверок изменили статус',
+        other: '{count} проверки изменили статус'
+    },
+    'baseline.noChangedChecks': 'Статусы проверок не изменились',
+    'baseline.meta': 'Эталон от {date} · {file} · {events}',
+    'baseline.save': 'Сохранить как эталон',
+    'baseline.update': 'Обновить эталон',
+    'baseline.delete': 'Удалить эталон',
+    'baseline.newEventsFocus': 'Новые события с момента сохранения эталона',
+
+    // Report
+    'report.export': 'Экспорт отчёта:',
+    'report.printable': 'HTML для печати',
+    'report.fingerprint': 'SHA-256 загруженного файла',
+    'report.title': 'Отчёт о целостности аккаунта {username}',
+    'report.result': 'Итог',
+    'report.email': 'Почта',
+    'report.created': 'Создан',
+    'report.range': 'Период экспорта',
+    'report.events': 'Событий',
+    'report.file': 'Файл',
+    'report.bytes': {
+        one: '{count} байт',
+        few: '{count} байта',
+        many: '{count} байт',
+        other: '{count} байта'
+    },
+    'report.generated': 'Сформирован',
+    'report.checks': 'Проверки',
+    'report.status': 'Статус',
+    'report.check': 'Проверка',
+    'report.severity': 'Уровень',
+    'report.rule': 'Правило',
+    'report.count': 'Событий',
+    'report.time': 'Время',
+    'report.action': 'Действие',
+    'report.actor': 'Пользователь',
+    'report.country': 'Страна',
+
+    // Command line
+    'cli.usage': `Использование: analyze [--json] [--rules rules.json] <export-файл> ...
+
+  --json          вывести отчёт в JSON (схема checkghp-report/1)
+  --rules <файл>  применить пользовательские правила поверх встроенных
+  -h, --help      показать справку
+
+Код выхода: 0 — все проверки пройдены, 1 — есть непройденные, 2 — ошибка`,
+    'cli.rulesPath': '--rules требует путь к файлу',
+    'cli.unknownOption': 'Неизвестный параметр: {option}',
+    'cli.empty': '{path}: файл не содержит событий',
+    'cli.error': 'Ошибка: {error}'
+};
@@ -0,0 +1,225 @@
+/**
+ * Login Location & Session Analysis
+ * Countries, IPs and user agents over time, with impossible-travel detection
+ * Works offline using the bundled country centroid table
+ */
+
+import { COUNTRY_CENTROIDS } from './countries.js';
+import { getEventTime } from './formats.js';
+import { t } from './i18n.js';
+
+/**
+ * Faster than this between two countries is physically implausible (km/h)
+ */
+const MAX_TRAVEL_SPEED = 900;
+
+/**
+ * Different countries within this window are suspicious even without centroids (ms)
+ */
+const SHORT_WINDOW = 60 * 60 * 1000;
+
+/**
+ * Earth radius (km)
+ */
+const EARTH_RADIUS = 6371;
+
+/**
+ * Great-circle distance between two countries
+ * @param {string} from - Country code
+ * @param {string} to - Country code
+ * @returns {number|null} - Distance in km, null if a centroid is unknown
+ */
+export function countryDistance(from, to) {
+    const a = COUNTRY_CENTROIDS[from];
+    const b = COUNTRY_CENTROIDS[to];
+    if (!a || !b) return null;
+
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(b[0] - a[0]);
+    const dLon = toRad(b[1] - a[1]);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Reduce user agent string to "Browser / OS" family
+ * @param {string} userAgent - User agent
+ * @returns {string}
+ */
+export function getUserAgentFamily(userAgent) {
+    if (!userAgent) return 'Unknown';
+
+    const browsers = [
+        [/GitHub ?Desktop/i, 'GitHub Desktop'],
+        [/GitHubMobile|GitHub-iOS|GitHub-Android/i, 'GitHub Mobile'],
+        [/^git\//i, 'git'],
+        [/^gh\//i, 'GitHub CLI'],
+        [/Edg(e|A|iOS)?\//, 'Edge'],
+        [/OPR\/|Opera/, 'Opera'],
+        [/YaBrowser\//, 'Yandex Browser'],
+        [/Firefox\/|FxiOS\//, 'Firefox'],
+        [/Chrome\/|CriOS\//, 'Chrome'],
+        [/Safari\//, 'Safari'],
+        [/^curl\//i, 'curl'],
+        [/python-requests|aiohttp|urllib/i, 'Python'],
+        [/Go-http-client/i, 'Go'],
+        [/okhttp/i, 'OkHttp'],
+        [/^node-fetch|^axios|undici/i, 'Node.js']
+    ];
+    const systems = [
+        [/Windows/, 'Windows'],
+        [/Android/, 'Android'],
+        [/iPhone|iPad|iOS/, 'iOS'],
+        [/Mac OS X|Macintosh|Darwin/, 'macOS'],
+        [/CrOS/, 'ChromeOS'],
+        [/Linux/, 'Linux']
+    ];
+
+    const browser = browsers.find(([pattern]) => pattern.test(userAgent))?.[1] ||
+        userAgent.split(/[\s/]/)[0] || 'Unknown';
+    const system = systems.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+    return system ? `${browser} / ${system}` : browser;
+}
+
+/**
+ * Get IP address of event
+ * @param {Object} event - Log event
+ * @returns {string}
+ */
+function getIP(event) {
+    return event.actor_ip || event.ip || event.client_ip || '';
+}
+
+/**
+ * Accumulate first/last seen statistics
+ * @param {Map} map - Accumulator
+ * @param {string} key - Key
+ * @param {Object} event - Log event
+ * @param {number} time - Event time
+ */
+function track(map, key, event, time) {
+    const entry = map.get(key);
+    if (entry) {
+        entry.count++;
+        entry.lastSeen = time;
+        entry.events.push(event);
+    } else {
+        map.set(key, { value: key, count: 1, firstSeen: time, lastSeen: time, events: [event] });
+    }
+}
+
+/**
+ * Analyze locations, IPs and user agents
+ * @param {Array} events - Events sorted by time (oldest first)
+ * @returns {Object} - { countries, ips, userAgents, alerts }
+ */
+export function analyzeLocations(events) {
+    const countries = new Map();
+    const ips = new Map();
+    const userAgents = new Map();
+    const alerts = [];
+    const families = new Set();
+
+    let previousLocated = null;
+    let previousFamily = null;
+    let previousWithAgent = null;
+
+    for (const event of events) {
+        const time = getEventTime(event);
+        const country = event.actor_location?.country_code || '';
+        const ip = getIP(event);
+        const userAgent = event.user_agent || '';
+
+        if (ip) {
+            track(ips, ip, event, time);
+        }
+
+        if (country) {
+            // Первое появление страны (кроме самой первой)
+            if (!countries.has(country) && countries.size > 0) {
+                alerts.push({
+                    type: 'new-country',
+                    severity: 'medium',
+                    time,
+                    country,
+                    message: t('alert.newCountryMessage', { country }),
+                    events: [event]
+                });
+            }
+            track(countries, country, event, time);
+
+            // Невозможное перемещение между соседними событиями из разных стран
+            if (previousLocated && previousLocated.country !== country) {
+                const elapsed = time - previousLocated.time;
+                const distance = countryDistance(previousLocated.country, country);
+                const hours = Math.max(elapsed, 1) / 3600000;
+                const speed = distance !== null ? distance / hours : null;
+
+                if ((speed !== null && speed > MAX_TRAVEL_SPEED) || (speed === null && elapsed < SHORT_WINDOW)) {
+                    alerts.push({
+                        type: 'impossible-travel',
+                        severity: 'high',
+                        time,
+                        country,
+                        from: previousLocated.country,
+                        distance,
+                        elapsed,
+                        message: distance !== null
+                            ? t('alert.travelMessage', { from: previousLocated.country, to: country, distance: Math.round(distance), elapsed: formatElapsed(elapsed) })
+                            : t('alert.travelShortMessage', { from: previousLocated.country, to: country, elapsed: formatElapsed(elapsed) }),
+                        events: [previousLocated.event, event]
+                    });
+                }
+            }
+            previousLocated = { country, time, event };
+        }
+
+        if (userAgent) {
+            const family = getUserAgentFamily(userAgent);
+
+            // Резкая смена семейства user agent на ранее не встречавшееся
+            if (previousFamily && family !== previousFamily && !families.has(family)) {
+                alerts.push({
+                    type: 'user-agent-change',
+                    severity: 'low',
+                    time,
+                    from: previousFamily,
+                    family,
+                    message: t('alert.userAgentMessage', { from: previousFamily, to: family }),
+                    events: [previousWithAgent, event]
+                });
+            }
+
+            track(userAgents, userAgent, event, time);
+            userAgents.get(userAgent).family = family;
+            families.add(family);
+            previousFamily = family;
+            previousWithAgent = event;
+        }
+    }
+
+    const byCount = (a, b) => b.count - a.count;
+
+    return {
+        countries: [...countries.values()].sort(byCount),
+        ips: [...ips.values()].sort(byCount),
+        userAgents: [...userAgents.values()].sort(byCount),
+        alerts
+    };
+}
+
+/**
+ * Format duration compactly
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+function formatElapsed(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return t('units.minutes', { count: minutes });
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return t('units.hours', { count: hours });
+    return t('units.days', { count: Math.round(hours / 24) });
+}
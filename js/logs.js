@@ -1,176 +1,520 @@
 /**
  * Security Logs Analyzer
- * Handles .gz file upload, decompression, parsing and analysis
+ * Handles export upload, decompression, parsing and analysis
  */
 
 import { Icons } from './icons.js';
-import { escapeHtml, formatDate } from './utils.js';
+import { escapeHtml, formatDate, formatDateTime, formatBytes, downloadFile } from './utils.js';
+import { renderTimeline } from './timeline.js';
+import { getBuiltinRules, getSeverityLabel, mergeRules, loadUserRules, saveUserRules, parseRules } from './rules.js';
+import { buildReport, reportToJSON, reportToMarkdown, reportToHTML } from './report.js';
+import { createBaseline, loadBaseline, saveBaseline, deleteBaseline, diffAgainstBaseline } from './baseline.js';
+import { getEventTime } from './formats.js';
+import { readExport, analyzeLogs } from './analyzer.js';
+import { t, getLocale, onLocaleChange, applyTranslations } from './i18n.js';
+
+// Currently running ingestion, if any
+let activeIngestion = null;
+
+// Events and file info of the last analysed file, re-analysed when rules change
+let lastEvents = null;
+let lastSource = null;
 
 /**
- * Decompress gzip data using DecompressionStream API
- * @param {ArrayBuffer} compressedData - Gzipped data
- * @returns {Promise<string>} - Decompressed text
+ * Render check item
+ * Failed checks show count and dates and link to the timeline events
+ * @param {Object} finding - Entry of analysis.findings
+ * @returns {string} - HTML string
  */
-async function decompressGzip(compressedData) {
-    if (typeof DecompressionStream === 'undefined') {
-        throw new Error('Браузер не поддерживает DecompressionStream. Используйте Chrome, Edge или Firefox.');
-    }
+function renderCheckItem(finding) {
+    const { passed, name, severity, events } = finding;
+    const icon = passed ? Icons.check : Icons.close;
+    const statusClass = passed ? 'check-passed' : 'check-failed';
+    const linkAttrs = !passed
+        ? ` data-check="${escapeHtml(finding.ruleId)}" role="button" tabindex="0" title="${escapeHtml(t('logs.showEvents'))}"`
+        : '';
     
-    const stream = new Response(compressedData).body
-        .pipeThrough(new DecompressionStream('gzip'));
+    // Даты первых событий
+    const MAX_DATES = 3;
+    const dates = events.slice(0, MAX_DATES).map(e => formatDateTime(getEventTime(e)));
+    if (events.length > MAX_DATES) {
+        dates.push(t('common.andMore', { count: events.length - MAX_DATES }));
+    }
+    const detailHtml = !passed ? `
+        <div class="check-detail">
+            ${finding.message ? `${escapeHtml(finding.message)} · ` : ''}${escapeHtml(t('logs.events', { count: events.length }))}: ${escapeHtml(dates.join(', '))}
+        </div>
+    ` : '';
     
-    const decompressed = await new Response(stream).text();
-    return decompressed;
+    return `
+        <div class="check-item ${statusClass}"${linkAttrs}>
+            <div class="check-icon">${icon}</div>
+            <div class="check-body">
+                <div class="check-label">${escapeHtml(name)}</div>
+                ${detailHtml}
+                <div class="check-rule">${escapeHtml(finding.ruleId)}${finding.source === 'user' ? ` · ${escapeHtml(t('logs.userRule'))}` : ''}</div>
+            </div>
+            <span class="check-severity severity-${severity}">${escapeHtml(getSeverityLabel(severity))}</span>
+        </div>
+    `;
 }
 
 /**
- * Parse NDJSON (newline-delimited JSON)
- * @param {string} text - NDJSON text
- * @returns {Array} - Array of parsed objects
+ * Names of detected export formats
  */
-function parseNDJSON(text) {
-    const lines = text.trim().split('\n');
-    const events = [];
-    
-    for (const line of lines) {
-        if (line.trim()) {
-            try {
-                events.push(JSON.parse(line));
-            } catch (e) {
-                console.warn('Failed to parse line:', line);
-            }
+const FORMAT_LABELS = {
+    ndjson: 'NDJSON',
+    json: 'JSON',
+    csv: 'CSV'
+};
+
+/**
+ * Catalogue keys of location alert titles
+ */
+const ALERT_TITLES = {
+    'new-country': 'alert.newCountry',
+    'impossible-travel': 'alert.impossibleTravel',
+    'user-agent-change': 'alert.userAgentChange'
+};
+
+/**
+ * Render location and session section
+ * @param {Object} locations - Result of analyzeLocations
+ * @returns {string} - HTML string
+ */
+function renderLocations(locations) {
+    const { countries, ips, userAgents, alerts } = locations;
+    
+    if (countries.length === 0 && ips.length === 0 && userAgents.length === 0) {
+        return '';
+    }
+    
+    const MAX_ROWS = 8;
+    const period = (entry) => entry.firstSeen === entry.lastSeen
+        ? formatDate(entry.firstSeen)
+        : `${formatDate(entry.firstSeen)} — ${formatDate(entry.lastSeen)}`;
+    
+    const renderList = (title, entries, getLabel) => `
+        <div class="locations-column">
+            <h4>${title} <span>${entries.length}</span></h4>
+            <ul>
+                ${entries.slice(0, MAX_ROWS).map(entry => `
+                    <li>
+                        <span class="locations-value" title="${escapeHtml(entry.value)}">${escapeHtml(getLabel(entry))}</span>
+                        <span class="locations-meta">${entry.count} · ${escapeHtml(period(entry))}</span>
+                    </li>
+                `).join('')}
+                ${entries.length > MAX_ROWS ? `<li class="locations-more">${escapeHtml(t('common.andMore', { count: entries.length - MAX_ROWS }))}</li>` : ''}
+            </ul>
+        </div>
+    `;
+    
+    // Клиенты группируются по семейству браузер / ОС
+    const families = new Map();
+    for (const entry of userAgents) {
+        const family = families.get(entry.family);
+        if (family) {
+            family.count += entry.count;
+            family.firstSeen = Math.min(family.firstSeen, entry.firstSeen);
+            family.lastSeen = Math.max(family.lastSeen, entry.lastSeen);
+        } else {
+            families.set(entry.family, { ...entry, value: entry.family });
         }
     }
     
-    return events;
+    const alertsHtml = alerts.length > 0 ? `
+        <div class="locations-alerts">
+            ${alerts.map((alert, index) => `
+                <div class="location-alert severity-${alert.severity}" data-alert="${index}" role="button" tabindex="0" title="${escapeHtml(t('logs.showEvents'))}">
+                    ${Icons.warning}
+                    <div class="location-alert-body">
+                        <div class="location-alert-title">${escapeHtml(t(ALERT_TITLES[alert.type]))}</div>
+                        <div class="location-alert-text">${escapeHtml(alert.message)} · ${escapeHtml(formatDateTime(alert.time))}</div>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    ` : `
+        <div class="locations-ok">${Icons.check} ${escapeHtml(t('locations.noAlerts'))}</div>
+    `;
+    
+    return `
+        <div class="locations-section">
+            <h3>${escapeHtml(t('locations.title'))}</h3>
+            ${alertsHtml}
+            <div class="locations-grid">
+                ${renderList(escapeHtml(t('locations.countries')), countries, entry => entry.value)}
+                ${renderList(escapeHtml(t('locations.ips')), ips, entry => entry.value)}
+                ${renderList(escapeHtml(t('locations.clients')), [...families.values()].sort((a, b) => b.count - a.count), entry => entry.value)}
+            </div>
+        </div>
+    `;
 }
 
 /**
- * Analyze logs and check account integrity
- * @param {Array} events - Parsed events
- * @returns {Object} - Analysis results with checks
+ * Render comparison with saved baseline of the same account
+ * Loads asynchronously, only events added since the baseline and checks
+ * whose status changed are shown
+ * @param {HTMLElement} container - Baseline section element
+ * @param {Object} analysis - Analysis results
+ * @param {Object} source - Uploaded file { fileName, fileSize, sha256 }
+ * @param {Object} timeline - Controller from renderTimeline
  */
-function analyzeLogs(events) {
-    const sorted = [...events].sort((a, b) => a['@timestamp'] - b['@timestamp']);
-    
-    // Дата создания аккаунта
-    const createEvent = sorted.find(e => e.action === 'user.create');
-    
-    // Почта из события создания аккаунта
-    const originalEmail = createEvent?.email || null;
-    
-    // Проверка почты
-    const emailEvents = sorted.filter(e => 
-        e.action === 'user.email_create' || 
-        e.action === 'user.email_delete' || 
-        e.action === 'user.primary_email_changed'
-    );
-    
-    // Проверка пароля
-    const passwordEvents = sorted.filter(e => 
-        e.action === 'user.password_reset' || 
-        e.action === 'user.password_changed'
-    );
-    
-    // Проверка 2FA
-    const twoFaChanges = sorted.filter(e => 
-        e.action === 'two_factor_authentication.enabled' || 
-        e.action === 'two_factor_authentication.disabled'
-    );
-    
-    // Результаты проверок
-    const checks = {
-        // Почта не менялась: только одно событие добавления почты и ноль изменений
-        emailUnchanged: emailEvents.length <= 1,
-        emailChangesCount: emailEvents.length - 1, // Минус первоначальное добавление
+async function renderBaseline(container, analysis, source, timeline) {
+    const actor = analysis.username;
+    let baseline = null;
+    
+    // Без логина эталоны разных аккаунтов попали бы под один ключ
+    if (!actor) {
+        container.innerHTML = `
+            <h3>${escapeHtml(t('baseline.title'))}</h3>
+            <p class="baseline-hint">${escapeHtml(t('baseline.noActor'))}</p>
+        `;
+        return;
+    }
+    
+    try {
+        baseline = await loadBaseline(actor);
+    } catch (error) {
+        container.innerHTML = `<div class="baseline-status error">${Icons.error} ${escapeHtml(t('baseline.unavailable', { error: error.message }))}</div>`;
+        return;
+    }
+    
+    // Анализ мог быть перерисован, пока загружался эталон
+    if (!container.isConnected) return;
+    
+    let diffHtml = '';
+    let diff = null;
+    
+    if (!baseline) {
+        diffHtml = `<p class="baseline-hint">${escapeHtml(t('baseline.missing', { actor }))}</p>`;
+    } else if (baseline.source.sha256 === source.sha256) {
+        diffHtml = `<p class="baseline-hint">${escapeHtml(t('baseline.sameFile'))}</p>`;
+    } else {
+        diff = diffAgainstBaseline(baseline, analysis);
+        const { newEvents, changedChecks } = diff;
         
-        // Пароль никогда не менялся
-        passwordUnchanged: passwordEvents.length === 0,
-        passwordChangesCount: passwordEvents.length,
+        const changedHtml = changedChecks.map((check, index) => `
+            <div class="baseline-change ${check.passed ? 'check-passed' : 'check-failed'}"${!check.passed ? ` data-change="${index}" role="button" tabindex="0" title="${escapeHtml(t('logs.showEvents'))}"` : ''}>
+                ${check.passed ? Icons.check : Icons.close}
+                <span class="baseline-change-label">${escapeHtml(check.name)}</span>
+                <span class="baseline-change-status">${escapeHtml(t(check.wasPassed ? 'baseline.passed' : 'baseline.failed'))} → ${escapeHtml(t(check.passed ? 'baseline.passed' : 'baseline.failed'))}</span>
+            </div>
+        `).join('');
         
-        // 2FA не менялась (только одно включение, без отключений и повторных включений)
-        twoFaUnchanged: twoFaChanges.length <= 1 && !twoFaChanges.some(e => e.action === 'two_factor_authentication.disabled'),
-        twoFaChangesCount: twoFaChanges.length > 1 ? twoFaChanges.length - 1 : 0
-    };
+        diffHtml = `
+            <div class="baseline-summary">
+                ${newEvents.length > 0 ? `
+                    <button type="button" class="baseline-new" data-action="new-events">
+                        ${escapeHtml(t('baseline.newEvents', { count: newEvents.length }))}
+                    </button>
+                ` : `<span class="baseline-none">${escapeHtml(t('baseline.noNewEvents'))}</span>`}
+                <span class="baseline-none">${escapeHtml(changedChecks.length > 0
+                    ? t('baseline.changedChecks', { count: changedChecks.length })
+                    : t('baseline.noChangedChecks'))}</span>
+            </div>
+            ${changedHtml ? `<div class="baseline-changes">${changedHtml}</div>` : ''}
+        `;
+    }
     
-    // Все проверки пройдены
-    checks.allPassed = checks.emailUnchanged && checks.passwordUnchanged && checks.twoFaUnchanged;
+    container.innerHTML = `
+        <h3>${escapeHtml(t('baseline.title'))}</h3>
+        ${baseline ? `
+            <div class="baseline-meta">
+                ${escapeHtml(t('baseline.meta', { date: formatDateTime(baseline.savedAt), file: baseline.source.fileName, events: t('logs.events', { count: baseline.totalEvents }) }))}
+            </div>
+        ` : ''}
+        ${diffHtml}
+        <div class="baseline-actions">
+            <button type="button" class="report-btn" data-action="save">${escapeHtml(t(baseline ? 'baseline.update' : 'baseline.save'))}</button>
+            ${baseline ? `<button type="button" class="report-btn" data-action="delete">${escapeHtml(t('baseline.delete'))}</button>` : ''}
+        </div>
+    `;
     
-    return {
-        accountCreated: createEvent ? new Date(createEvent['@timestamp']) : null,
-        username: createEvent?.actor || events[0]?.actor || 'Unknown',
-        originalEmail,
-        checks,
-        totalEvents: events.length
+    const focusChange = (item) => {
+        const check = diff.changedChecks[Number(item.dataset.change)];
+        timeline.focus(check.events, t('logs.checkEvents', { name: check.name }));
     };
+    
+    container.addEventListener('click', async (e) => {
+        const change = e.target.closest('[data-change]');
+        if (change) {
+            focusChange(change);
+            return;
+        }
+        
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        
+        try {
+            switch (button.dataset.action) {
+                case 'new-events':
+                    timeline.focus(diff.newEvents, t('baseline.newEventsFocus'));
+                    return;
+                case 'save':
+                    button.disabled = true;
+                    await saveBaseline(createBaseline(analysis, source));
+                    break;
+                case 'delete':
+                    button.disabled = true;
+                    await deleteBaseline(actor);
+                    break;
+            }
+        } catch (error) {
+            console.error('Baseline error:', error);
+            button.disabled = false;
+            container.querySelector('.baseline-actions').insertAdjacentHTML('beforeend',
+                `<span class="baseline-status error">${escapeHtml(error.message)}</span>`);
+            return;
+        }
+        
+        // Перерисовка с обновлённым эталоном
+        const section = container.cloneNode(false);
+        container.replaceWith(section);
+        renderBaseline(section, analysis, source, timeline);
+    });
+    
+    container.addEventListener('keydown', (e) => {
+        const change = e.target.closest('[data-change]');
+        if (change && (e.key === 'Enter' || e.key === ' ')) {
+            e.preventDefault();
+            focusChange(change);
+        }
+    });
 }
 
 /**
- * Render check item
- * @param {boolean} passed - Check passed
- * @param {string} label - Check label
- * @param {string} detail - Additional detail
- * @returns {string} - HTML string
+ * Download analysis report
+ * @param {Object} analysis - Analysis results
+ * @param {Object} source - Uploaded file { fileName, fileSize, sha256 }
+ * @param {string} format - json, md or html
  */
-function renderCheckItem(passed, label) {
-    const icon = passed ? Icons.check : Icons.close;
-    const statusClass = passed ? 'check-passed' : 'check-failed';
+function exportReport(analysis, source, format) {
+    const report = buildReport(analysis, source);
+    const baseName = `checkghp-report-${report.account.username}-${report.generatedAt.slice(0, 10)}`.replace(/[^\w.-]+/g, '_');
     
-    return `
-        <div class="check-item ${statusClass}">
-            <div class="check-icon">${icon}</div>
-            <div class="check-label">${label}</div>
-        </div>
-    `;
+    if (format === 'json') {
+        downloadFile(`${baseName}.json`, reportToJSON(report), 'application/json');
+    } else if (format === 'md') {
+        downloadFile(`${baseName}.md`, reportToMarkdown(report), 'text/markdown');
+    } else {
+        downloadFile(`${baseName}.html`, reportToHTML(report), 'text/html');
+    }
 }
 
 /**
  * Render logs analysis UI
  * @param {Object} analysis - Analysis results
  * @param {HTMLElement} container - Container element
+ * @param {Object} source - Uploaded file { fileName, fileSize, sha256 }
  */
-function renderLogsAnalysis(analysis, container) {
+function renderLogsAnalysis(analysis, container, source) {
     const { checks } = analysis;
     
     // Статус проверки
     const statusClass = checks.allPassed ? 'status-success' : 'status-warning';
     const statusIcon = checks.allPassed ? Icons.check : Icons.close;
-    const statusText = checks.allPassed ? 'Аккаунт не изменён' : 'Обнаружены изменения';
+    const statusText = t(checks.allPassed ? 'logs.unchanged' : 'logs.changed');
     
     const html = `
         <div class="logs-analysis">
             <!-- Информация об аккаунте -->
             <div class="account-origin">
                 <div class="origin-row">
-                    <span class="origin-label">Почта:</span>
-                    <span class="origin-value">${analysis.originalEmail ? escapeHtml(analysis.originalEmail) : 'Нет данных'}</span>
+                    <span class="origin-label">${escapeHtml(t('logs.email'))}</span>
+                    <span class="origin-value">${escapeHtml(analysis.originalEmail || t('common.noData'))}</span>
                 </div>
                 <div class="origin-row">
-                    <span class="origin-label">Создан:</span>
-                    <span class="origin-value">${analysis.accountCreated ? formatDate(analysis.accountCreated) : 'Нет данных'}</span>
+                    <span class="origin-label">${escapeHtml(t('logs.created'))}</span>
+                    <span class="origin-value">${escapeHtml(analysis.accountCreated ? formatDate(analysis.accountCreated) : t('common.noData'))}</span>
                 </div>
             </div>
             
             <!-- Общий статус -->
             <div class="verification-status ${statusClass}">
                 <div class="status-icon">${statusIcon}</div>
-                <div class="status-text">${statusText}</div>
+                <div class="status-text">${escapeHtml(statusText)}</div>
             </div>
             
             <!-- Результаты проверок -->
             <div class="checks-list">
-                ${renderCheckItem(checks.emailUnchanged, 'Почта не менялась')}
-                ${renderCheckItem(checks.passwordUnchanged, 'Пароль не менялся')}
-                ${renderCheckItem(checks.twoFaUnchanged, '2FA не менялась')}
+                ${analysis.findings.map(renderCheckItem).join('')}
             </div>
             
+            <!-- Местоположение и сессии -->
+            ${renderLocations(analysis.locations)}
+            
+            <!-- Сравнение с эталоном -->
+            <div class="baseline-section"></div>
+            
             <div class="logs-footer">
-                Проанализировано ${analysis.totalEvents} событий
+                ${escapeHtml(t('logs.analyzed', { count: analysis.totalEvents }))}${source.formats?.length ? ` · ${escapeHtml(source.formats.map(format => FORMAT_LABELS[format]).join(', '))}` : ''}
+            </div>
+            
+            <!-- Экспорт отчёта -->
+            <div class="report-actions">
+                <span>${escapeHtml(t('report.export'))}</span>
+                <button type="button" class="report-btn" data-format="json">JSON</button>
+                <button type="button" class="report-btn" data-format="md">Markdown</button>
+                <button type="button" class="report-btn" data-format="html">${escapeHtml(t('report.printable'))}</button>
             </div>
+            <div class="report-fingerprint" title="${escapeHtml(t('report.fingerprint'))}">SHA-256: ${escapeHtml(source.sha256)}</div>
+            
+            <!-- Лента событий -->
+            <div class="logs-timeline"></div>
         </div>
     `;
     
     container.innerHTML = html;
+    
+    const timeline = renderTimeline(container.querySelector('.logs-timeline'), analysis.events);
+    
+    renderBaseline(container.querySelector('.baseline-section'), analysis, source, timeline);
+    
+    // Экспорт отчёта
+    container.querySelector('.report-actions').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-format]');
+        if (button) exportReport(analysis, source, button.dataset.format);
+    });
+    
+    // Переход от непройденной проверки к событиям
+    const checksList = container.querySelector('.checks-list');
+    const focusCheck = (item) => {
+        const label = item.querySelector('.check-label').textContent;
+        timeline.focus(analysis.evidence[item.dataset.check], t('logs.checkEvents', { name: label }));
+    };
+    
+    checksList.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-check]');
+        if (item) focusCheck(item);
+    });
+    
+    checksList.addEventListener('keydown', (e) => {
+        const item = e.target.closest('[data-check]');
+        if (item && (e.key === 'Enter' || e.key === ' ')) {
+            e.preventDefault();
+            focusCheck(item);
+        }
+    });
+    
+    // Переход от предупреждения о местоположении к событиям
+    const alertsList = container.querySelector('.locations-alerts');
+    if (alertsList) {
+        const focusAlert = (item) => {
+            const alert = analysis.locations.alerts[Number(item.dataset.alert)];
+            timeline.focus(alert.events, `${t(ALERT_TITLES[alert.type])}: ${alert.message}`);
+        };
+        
+        alertsList.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-alert]');
+            if (item) focusAlert(item);
+        });
+        
+        alertsList.addEventListener('keydown', (e) => {
+            const item = e.target.closest('[data-alert]');
+            if (item && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                focusAlert(item);
+            }
+        });
+    }
+}
+
+/**
+ * Convert digest to lowercase hex
+ * @param {ArrayBuffer} buffer - Digest
+ * @returns {string}
+ */
+function toHex(buffer) {
+    return [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Read and parse file on the main thread
+ * Fallback for environments without module workers
+ * @param {File} file - Uploaded file
+ * @returns {Promise<{events: Array, formats: Array, sha256: string}>} - Parsed events, detected formats and file fingerprint
+ */
+async function ingestInline(file) {
+    const arrayBuffer = await file.arrayBuffer();
+    const sha256 = toHex(await crypto.subtle.digest('SHA-256', arrayBuffer));
+    const { events, formats } = await readExport(new Uint8Array(arrayBuffer));
+    return { events, formats, sha256 };
+}
+
+/**
+ * Stream, decompress and parse file in a Web Worker
+ * @param {File} file - Uploaded file
+ * @param {Function} onProgress - Called with { bytesRead, totalBytes, eventsParsed }
+ * @returns {{promise: Promise<{events: Array, formats: Array, sha256: string}>, cancel: Function}}
+ */
+function ingestInWorker(file, onProgress) {
+    const worker = new Worker(new URL('./logs.worker.js', import.meta.url), { type: 'module' });
+    let rejectIngestion;
+    
+    const promise = new Promise((resolve, reject) => {
+        rejectIngestion = reject;
+        
+        worker.addEventListener('message', (e) => {
+            const message = e.data;
+            if (message.type === 'progress') {
+                onProgress(message);
+            } else if (message.type === 'done') {
+                worker.terminate();
+                resolve({ events: message.events, formats: message.formats, sha256: message.sha256 });
+            } else if (message.type === 'error') {
+                worker.terminate();
+                reject(new Error(message.message));
+            }
+        });
+        
+        worker.addEventListener('error', (e) => {
+            worker.terminate();
+            reject(new Error(e.message || t('upload.failed')));
+        });
+        
+        worker.postMessage({ file, locale: getLocale() });
+    });
+    
+    const cancel = () => {
+        worker.terminate();
+        const error = new Error(t('upload.cancelled'));
+        error.name = 'AbortError';
+        rejectIngestion(error);
+    };
+    
+    return { promise, cancel };
+}
+
+/**
+ * Render ingestion progress with a cancel button
+ * @param {HTMLElement} statusEl - Status element
+ * @param {Function} onCancel - Cancel handler
+ * @returns {Function} - Updates progress text
+ */
+function renderProgressStatus(statusEl, onCancel) {
+    statusEl.innerHTML = `
+        ${Icons.loader}
+        <span class="upload-status-text">${escapeHtml(t('upload.loading'))}</span>
+        <button class="upload-cancel-btn" type="button">${escapeHtml(t('upload.cancel'))}</button>
+    `;
+    statusEl.className = 'upload-status loading';
+    
+    statusEl.querySelector('.upload-cancel-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        onCancel();
+    });
+    
+    const textEl = statusEl.querySelector('.upload-status-text');
+    return ({ bytesRead, totalBytes, eventsParsed }) => {
+        const percent = totalBytes ? Math.min(100, Math.round(bytesRead / totalBytes * 100)) : 0;
+        textEl.textContent = t('upload.progress', {
+            percent,
+            read: formatBytes(bytesRead),
+            total: formatBytes(totalBytes),
+            events: t('logs.events', { count: eventsParsed })
+        });
+    };
 }
 
 /**
@@ -181,41 +525,171 @@ function renderLogsAnalysis(analysis, container) {
 async function handleFileUpload(file, container) {
     const statusEl = document.getElementById('uploadStatus');
     
+    // Only one analysis at a time
+    if (activeIngestion) {
+        activeIngestion.cancel();
+        activeIngestion = null;
+    }
+    
+    let ingestion = null;
+    
     try {
-        statusEl.innerHTML = `${Icons.loader} Загрузка файла...`;
-        statusEl.className = 'upload-status loading';
-        
-        const arrayBuffer = await file.arrayBuffer();
-        
-        let text;
-        if (file.name.endsWith('.gz')) {
-            statusEl.innerHTML = `${Icons.loader} Распаковка gzip...`;
-            text = await decompressGzip(arrayBuffer);
+        if (typeof Worker === 'undefined') {
+            statusEl.innerHTML = `${Icons.loader} ${escapeHtml(t('upload.analyzing'))}`;
+            statusEl.className = 'upload-status loading';
+            ingestion = { promise: ingestInline(file), cancel: () => {} };
         } else {
-            text = new TextDecoder().decode(arrayBuffer);
+            const updateProgress = renderProgressStatus(statusEl, () => ingestion.cancel());
+            ingestion = ingestInWorker(file, updateProgress);
         }
         
-        statusEl.innerHTML = `${Icons.loader} Анализ логов...`;
-        const events = parseNDJSON(text);
+        activeIngestion = ingestion;
+        const { events, formats, sha256 } = await ingestion.promise;
         
         if (events.length === 0) {
-            throw new Error('Файл не содержит событий');
+            throw new Error(t('upload.empty'));
         }
         
-        const analysis = analyzeLogs(events);
+        lastEvents = events;
+        lastSource = { fileName: file.name, fileSize: file.size, formats, sha256 };
+        const analysis = analyzeLogs(events, mergeRules(loadUserRules()));
         
         statusEl.innerHTML = '';
         statusEl.className = 'upload-status';
         
-        renderLogsAnalysis(analysis, container);
+        renderLogsAnalysis(analysis, container, lastSource);
         
     } catch (error) {
+        // A newer upload replaced this one, its status is already shown
+        if (activeIngestion !== ingestion) return;
+        
+        if (error.name === 'AbortError') {
+            statusEl.innerHTML = `${Icons.close} ${escapeHtml(error.message)}`;
+            statusEl.className = 'upload-status cancelled';
+            return;
+        }
+        
         console.error('Error processing file:', error);
-        statusEl.innerHTML = `${Icons.error} Ошибка: ${escapeHtml(error.message)}`;
+        statusEl.innerHTML = `${Icons.error} ${escapeHtml(t('upload.error', { error: error.message }))}`;
         statusEl.className = 'upload-status error';
+    } finally {
+        if (activeIngestion === ingestion) {
+            activeIngestion = null;
+        }
     }
 }
 
+/**
+ * Render rule set editor
+ * User rules are stored in localStorage and applied on top of the built-in ones
+ * Texts carry data-i18n, so a language switch translates them in place
+ * without losing unsaved edits
+ * @param {HTMLElement} container - Container element
+ * @param {Function} onChange - Called after rules are saved
+ * @returns {{translate: Function}} - Controller; translate() updates texts to the current language
+ */
+function renderRulesEditor(container, onChange) {
+    const userRules = loadUserRules();
+    let savedCount = 0;
+    
+    container.innerHTML = `
+        <details class="rules-editor">
+            <summary>
+                <span data-i18n="rules.title">${escapeHtml(t('rules.title'))}</span>
+                <span class="rules-count"></span>
+            </summary>
+            <p class="rules-hint" data-i18n-html="rules.hint">${t('rules.hint')}</p>
+            <textarea class="rules-textarea" spellcheck="false" data-i18n-attr="aria-label:rules.label" aria-label="${escapeHtml(t('rules.label'))}"></textarea>
+            <div class="rules-actions">
+                <button type="button" class="rules-btn primary" data-action="save" data-i18n="rules.save">${escapeHtml(t('rules.save'))}</button>
+                <button type="button" class="rules-btn" data-action="import" data-i18n="rules.import">${escapeHtml(t('rules.import'))}</button>
+                <button type="button" class="rules-btn" data-action="export" data-i18n="rules.export">${escapeHtml(t('rules.export'))}</button>
+                <button type="button" class="rules-btn" data-action="builtin" data-i18n="rules.builtin">${escapeHtml(t('rules.builtin'))}</button>
+                <input type="file" class="rules-file" accept=".json,application/json" hidden>
+            </div>
+            <div class="rules-status"></div>
+        </details>
+    `;
+    
+    const textarea = container.querySelector('.rules-textarea');
+    const countEl = container.querySelector('.rules-count');
+    const statusEl = container.querySelector('.rules-status');
+    const fileInput = container.querySelector('.rules-file');
+    
+    // Messages of the catalogue are translated again, parse errors stay as shown
+    const showStatus = (message, isError = false, key = null) => {
+        statusEl.textContent = message;
+        statusEl.className = `rules-status ${isError ? 'error' : 'success'}`;
+        if (key) {
+            statusEl.dataset.i18n = key;
+        } else {
+            delete statusEl.dataset.i18n;
+        }
+    };
+    
+    const showCount = () => {
+        countEl.textContent = savedCount > 0 ? t('rules.count', { count: savedCount }) : '';
+    };
+    
+    const updateCount = (rules) => {
+        savedCount = rules.length;
+        showCount();
+    };
+    
+    const save = (text) => {
+        try {
+            const rules = parseRules(text);
+            saveUserRules(rules);
+            textarea.value = JSON.stringify(rules, null, 2);
+            updateCount(rules);
+            showStatus(t('rules.saved'), false, 'rules.saved');
+            onChange();
+        } catch (error) {
+            showStatus(error.message, true);
+        }
+    };
+    
+    textarea.value = JSON.stringify(userRules, null, 2);
+    updateCount(userRules);
+    
+    container.querySelector('.rules-actions').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        
+        switch (button.dataset.action) {
+            case 'save':
+                save(textarea.value);
+                break;
+            case 'import':
+                fileInput.click();
+                break;
+            case 'export':
+                downloadFile('checkghp-rules.json', textarea.value, 'application/json');
+                break;
+            case 'builtin':
+                // Встроенные правила как шаблон для редактирования
+                textarea.value = JSON.stringify(getBuiltinRules(), null, 2);
+                showStatus(t('rules.builtinLoaded'), false, 'rules.builtinLoaded');
+                break;
+        }
+    });
+    
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) {
+            save(await file.text());
+        }
+    });
+    
+    return {
+        translate() {
+            applyTranslations(container);
+            showCount();
+        }
+    };
+}
+
 /**
  * Initialize logs panel
  */
@@ -226,6 +700,22 @@ export function initLogsPanel() {
     
     if (!uploadArea || !fileInput) return;
     
+    const reanalyze = () => {
+        if (lastEvents) {
+            renderLogsAnalysis(analyzeLogs(lastEvents, mergeRules(loadUserRules())), resultsContainer, lastSource);
+        }
+    };
+    
+    const rulesContainer = document.getElementById('rulesEditor');
+    const rulesEditor = rulesContainer ? renderRulesEditor(rulesContainer, reanalyze) : null;
+    
+    // Rule names and alert messages are localised during analysis;
+    // the editor is translated in place, unsaved rules stay
+    onLocaleChange(() => {
+        rulesEditor?.translate();
+        reanalyze();
+    });
+    
     uploadArea.addEventListener('click', () => fileInput.click());
     
     fileInput.addEventListener('change', (e) => {
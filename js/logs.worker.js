@@ -0,0 +1,108 @@
+/**
+ * Security Logs Ingestion Worker
+ * Streams the uploaded file, decompresses gzip on the fly and parses
+ * records line by line, so large exports never block the page
+ * Format is detected by content: gzip and zip by magic bytes, then
+ * NDJSON, JSON array or CSV by the text itself
+ *
+ * Messages in:  { file: File, locale: string }
+ * Messages out: { type: 'progress', bytesRead, totalBytes, eventsParsed }
+ *               { type: 'done', events, formats, bytesRead, totalBytes, sha256 }
+ *               { type: 'error', message }
+ */
+
+import { createSHA256 } from './sha256.js';
+import { sniffContainer, createRecordParser, parseExportBytes, normalizeEvent } from './formats.js';
+import { t, setLocale } from './i18n.js';
+
+/**
+ * Minimum interval between progress messages (ms)
+ */
+const PROGRESS_INTERVAL = 100;
+
+/**
+ * Stream file and parse events
+ * @param {File} file - Uploaded file
+ * @returns {Promise<void>}
+ */
+async function ingest(file) {
+    let bytesRead = 0;
+    const totalBytes = file.size;
+    const hasher = createSHA256();
+    const events = [];
+    let lastReport = 0;
+
+    const reportProgress = () => {
+        const now = Date.now();
+        if (now - lastReport >= PROGRESS_INTERVAL) {
+            lastReport = now;
+            self.postMessage({ type: 'progress', bytesRead, totalBytes, eventsParsed: events.length });
+        }
+    };
+
+    const onRecord = (record) => {
+        const event = normalizeEvent(record);
+        if (event) {
+            events.push(event);
+        } else {
+            console.warn('Skipped record without action or time');
+        }
+    };
+
+    const head = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+    const container = sniffContainer(head);
+    let formats;
+
+    if (container === 'zip') {
+        // Каталог zip находится в конце файла, поэтому архив читается целиком
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        hasher.update(bytes);
+        bytesRead = bytes.length;
+        reportProgress();
+        formats = await parseExportBytes(bytes, onRecord);
+    } else {
+        // Count and fingerprint raw (compressed) bytes as they are consumed
+        const byteCounter = new TransformStream({
+            transform(chunk, controller) {
+                bytesRead += chunk.byteLength;
+                hasher.update(chunk);
+                controller.enqueue(chunk);
+            }
+        });
+
+        let stream = file.stream().pipeThrough(byteCounter);
+
+        if (container === 'gzip') {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error(t('formats.noDecompression'));
+            }
+            stream = stream.pipeThrough(new DecompressionStream('gzip'));
+        }
+
+        const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+        const parser = createRecordParser(onRecord);
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            parser.push(value);
+            reportProgress();
+        }
+
+        parser.end();
+        formats = parser.format ? [parser.format] : [];
+    }
+
+    self.postMessage({ type: 'done', events, formats, bytesRead, totalBytes, sha256: hasher.digestHex() });
+}
+
+self.addEventListener('message', async (e) => {
+    try {
+        // Error messages in the language of the page
+        setLocale(e.data.locale, { persist: false });
+        await ingest(e.data.file);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+});
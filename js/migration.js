@@ -0,0 +1,262 @@
+/**
+ * Google Authenticator Migration
+ * Builds and parses otpauth-migration://offline?data= payloads, the
+ * protobuf format of "Transfer accounts" in Google Authenticator
+ *
+ * message MigrationPayload {
+ *     repeated OtpParameters otp_parameters = 1;
+ *     int32 version = 2; int32 batch_size = 3; int32 batch_index = 4; int32 batch_id = 5;
+ * }
+ * message OtpParameters {
+ *     bytes secret = 1; string name = 2; string issuer = 3;
+ *     Algorithm algorithm = 4; DigitCount digits = 5; OtpType type = 6; int64 counter = 7;
+ * }
+ *
+ * The format has no period: Google Authenticator always uses 30 seconds
+ */
+
+import { base32Decode, base32Encode, normalizeAlgorithm, generateOTPAuthURL } from './totp.js';
+import { t } from './i18n.js';
+
+/**
+ * Payload format version written by current Google Authenticator
+ */
+const MIGRATION_VERSION = 1;
+
+/**
+ * Algorithm enum of OtpParameters
+ */
+const MIGRATION_ALGORITHMS = { SHA1: 1, SHA256: 2, SHA512: 3 };
+
+/**
+ * DigitCount enum of OtpParameters (seven digits can't be expressed)
+ */
+const MIGRATION_DIGITS = { 6: 1, 8: 2 };
+
+/**
+ * OtpType enum of OtpParameters
+ */
+const MIGRATION_TYPES = { hotp: 1, totp: 2 };
+
+/**
+ * Append protobuf varint
+ * @param {Array<number>} out - Output bytes
+ * @param {number} value - Non-negative integer up to 2^53
+ */
+function writeVarint(out, value) {
+    while (value > 0x7f) {
+        out.push((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    out.push(value);
+}
+
+/**
+ * Append varint field
+ * @param {Array<number>} out - Output bytes
+ * @param {number} field - Field number
+ * @param {number} value - Value
+ */
+function writeVarintField(out, field, value) {
+    writeVarint(out, field << 3);
+    writeVarint(out, value);
+}
+
+/**
+ * Append length-delimited field (bytes, string or nested message)
+ * @param {Array<number>} out - Output bytes
+ * @param {number} field - Field number
+ * @param {Uint8Array|Array<number>|string} value - Value, strings are written as UTF-8
+ */
+function writeBytesField(out, field, value) {
+    const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value;
+    writeVarint(out, (field << 3) | 2);
+    writeVarint(out, bytes.length);
+    for (const byte of bytes) {
+        out.push(byte);
+    }
+}
+
+/**
+ * Encode OtpParameters message
+ * @param {Object} otp - OTP parameters from resolveOTPParams
+ * @returns {Array<number>}
+ * @throws {Error} - If Google Authenticator can't represent the parameters
+ */
+function encodeOtpParameters(otp) {
+    const digits = MIGRATION_DIGITS[otp.digits];
+    if (!digits) {
+        throw new Error(t('export.migrationDigits', { digits: otp.digits }));
+    }
+    if (otp.type === 'totp' && otp.period !== 30) {
+        throw new Error(t('export.migrationPeriod', { period: otp.period }));
+    }
+
+    const out = [];
+    writeBytesField(out, 1, base32Decode(otp.secret));
+    writeBytesField(out, 2, otp.account);
+    writeBytesField(out, 3, otp.issuer);
+    writeVarintField(out, 4, MIGRATION_ALGORITHMS[normalizeAlgorithm(otp.algorithm)]);
+    writeVarintField(out, 5, digits);
+    writeVarintField(out, 6, MIGRATION_TYPES[otp.type]);
+    if (otp.type === 'hotp') {
+        writeVarintField(out, 7, otp.counter);
+    }
+    return out;
+}
+
+/**
+ * Build Google Authenticator migration URL
+ * @param {Array<Object>} otps - OTP parameters from resolveOTPParams
+ * @returns {string} - otpauth-migration://offline?data=...
+ * @throws {Error} - If Google Authenticator can't represent the parameters
+ */
+export function generateMigrationURL(otps) {
+    const out = [];
+    for (const otp of otps) {
+        writeBytesField(out, 1, encodeOtpParameters(otp));
+    }
+    writeVarintField(out, 2, MIGRATION_VERSION);
+    writeVarintField(out, 3, 1);
+    writeVarintField(out, 4, 0);
+    writeVarintField(out, 5, crypto.getRandomValues(new Uint32Array(1))[0] >>> 1);
+
+    return `otpauth-migration://offline?data=${encodeURIComponent(btoa(String.fromCharCode(...out)))}`;
+}
+
+/**
+ * Read protobuf varint
+ * @param {Object} reader - { bytes, pos }
+ * @returns {number}
+ * @throws {Error} - On truncated or oversized varint
+ */
+function readVarint(reader) {
+    let value = 0;
+    let scale = 1;
+    for (let i = 0; i < 10; i++) {
+        if (reader.pos >= reader.bytes.length) break;
+        const byte = reader.bytes[reader.pos++];
+        value += (byte & 0x7f) * scale;
+        if (byte < 0x80) return value;
+        scale *= 0x80;
+    }
+    throw new Error(t('import.migrationInvalid'));
+}
+
+/**
+ * Read protobuf message into fields
+ * Only varint and length-delimited values are kept, fixed-size ones are skipped
+ * @param {Uint8Array} bytes - Message bytes
+ * @returns {Array<Object>} - { field, value } in wire order; value is number or Uint8Array
+ * @throws {Error} - On malformed message
+ */
+function readMessage(bytes) {
+    const reader = { bytes, pos: 0 };
+    const fields = [];
+
+    while (reader.pos < bytes.length) {
+        const key = readVarint(reader);
+        const field = Math.floor(key / 8);
+        const wireType = key % 8;
+
+        if (wireType === 0) {
+            fields.push({ field, value: readVarint(reader) });
+        } else if (wireType === 2) {
+            const length = readVarint(reader);
+            if (reader.pos + length > bytes.length) {
+                throw new Error(t('import.migrationInvalid'));
+            }
+            fields.push({ field, value: bytes.subarray(reader.pos, reader.pos + length) });
+            reader.pos += length;
+        } else if (wireType === 1 || wireType === 5) {
+            reader.pos += wireType === 1 ? 8 : 4;
+        } else {
+            throw new Error(t('import.migrationInvalid'));
+        }
+    }
+    if (reader.pos > bytes.length) {
+        throw new Error(t('import.migrationInvalid'));
+    }
+
+    return fields;
+}
+
+/**
+ * Decode OtpParameters message into otpauth URL
+ * @param {Uint8Array} bytes - Message bytes
+ * @returns {{url: string, account: string, issuer: string}}
+ * @throws {Error} - On missing secret or unsupported parameters
+ */
+function decodeOtpParameters(bytes) {
+    const decoder = new TextDecoder();
+    const otp = { secret: null, name: '', issuer: '', algorithm: 0, digits: 0, type: 0, counter: 0 };
+
+    for (const { field, value } of readMessage(bytes)) {
+        const isBytes = value instanceof Uint8Array;
+        if (field === 1 && isBytes) otp.secret = value;
+        else if (field === 2 && isBytes) otp.name = decoder.decode(value);
+        else if (field === 3 && isBytes) otp.issuer = decoder.decode(value);
+        else if (field === 4 && !isBytes) otp.algorithm = value;
+        else if (field === 5 && !isBytes) otp.digits = value;
+        else if (field === 6 && !isBytes) otp.type = value;
+        else if (field === 7 && !isBytes) otp.counter = value;
+    }
+
+    // 0 — значение по умолчанию (UNSPECIFIED), приложения трактуют его как SHA1 / 6 / TOTP
+    const algorithm = Object.keys(MIGRATION_ALGORITHMS).find(name => MIGRATION_ALGORITHMS[name] === (otp.algorithm || 1));
+    const digits = Number(Object.keys(MIGRATION_DIGITS).find(count => MIGRATION_DIGITS[count] === (otp.digits || 1)));
+    const type = Object.keys(MIGRATION_TYPES).find(name => MIGRATION_TYPES[name] === (otp.type || 2));
+
+    if (!otp.secret || otp.secret.length === 0 || !algorithm || !digits || !type) {
+        throw new Error(t('import.migrationInvalid'));
+    }
+
+    // Name is "Issuer:account" when the account was added from an otpauth label
+    let account = otp.name.trim();
+    let issuer = otp.issuer.trim();
+    const separator = account.indexOf(':');
+    if (separator >= 0) {
+        issuer = issuer || account.slice(0, separator).trim();
+        account = account.slice(separator + 1).trim();
+    }
+
+    return {
+        url: generateOTPAuthURL(base32Encode(otp.secret), account, issuer, { type, algorithm, digits, counter: otp.counter }),
+        account,
+        issuer
+    };
+}
+
+/**
+ * Parse Google Authenticator migration URL
+ * A single QR of a large export holds one batch, accounts of other
+ * batches are simply not part of it
+ * @param {string} url - otpauth-migration://offline?data=...
+ * @returns {Array<{url: string, account: string, issuer: string}>} - otpauth URL per account
+ * @throws {Error} - If the URL or payload is malformed
+ */
+export function parseMigrationURL(url) {
+    const match = String(url).trim().match(/^otpauth-migration:\/\/offline\?(.+)$/i);
+    const data = match && new URLSearchParams(match[1]).get('data');
+    if (!data) {
+        throw new Error(t('import.migrationInvalid'));
+    }
+
+    let bytes;
+    try {
+        // URLSearchParams turns an unescaped "+" into a space
+        const binary = atob(data.replace(/ /g, '+').replace(/-/g, '+').replace(/_/g, '/'));
+        bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    } catch (e) {
+        throw new Error(t('import.migrationInvalid'));
+    }
+
+    const accounts = readMessage(bytes)
+        .filter(({ field, value }) => field === 1 && value instanceof Uint8Array)
+        .map(({ value }) => decodeOtpParameters(value));
+
+    if (accounts.length === 0) {
+        throw new Error(t('import.migrationInvalid'));
+    }
+    return accounts;
+}
@@ -0,0 +1,75 @@
+/**
+ * Offline Support
+ * Registers the service worker (sw.js) and shows a banner once a newer
+ * version of the page has been installed next to the running one
+ */
+
+import { t } from './i18n.js';
+import { showToast } from './utils.js';
+
+// This tab asked the new version to take over and reloads when it does
+let switching = false;
+
+/**
+ * Show banner offering to reload into the updated version
+ * @param {ServiceWorkerRegistration} registration - Registration with the new worker
+ */
+function showUpdateBanner(registration) {
+    const banner = document.getElementById('updateBanner');
+    if (!banner || !banner.hidden) return;
+
+    banner.hidden = false;
+    document.getElementById('updateReloadBtn').addEventListener('click', () => {
+        // Waiting worker: activate it, the page reloads on controllerchange
+        if (registration.waiting) {
+            switching = true;
+            registration.waiting.postMessage({ type: 'skipWaiting' });
+        } else {
+            location.reload();
+        }
+    }, { once: true });
+}
+
+/**
+ * Register service worker
+ * Pages opened from file:// or in browsers without service workers keep working online only
+ */
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+    // Первая установка: страница ещё не под управлением воркера
+    let firstInstall = !navigator.serviceWorker.controller;
+
+    let registration = null;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (firstInstall) {
+            firstInstall = false;
+            showToast(t('pwa.offlineReady'));
+        } else if (switching) {
+            location.reload();
+        } else if (registration) {
+            // Another tab switched versions, this one still runs the old code
+            showUpdateBanner(registration);
+        }
+    });
+
+    try {
+        registration = await navigator.serviceWorker.register('sw.js');
+    } catch (error) {
+        console.error('Service worker registration failed:', error);
+        return;
+    }
+
+    // A new version waits until no page of the old one is open, or the user agrees to switch
+    if (registration.waiting && !firstInstall) {
+        showUpdateBanner(registration);
+    }
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdateBanner(registration);
+            }
+        });
+    });
+}
@@ -0,0 +1,536 @@
+/**
+ * QR Code Generator
+ * Implements ISO/IEC 18004 byte-mode encoding so that QR codes are drawn
+ * locally and secrets never leave the browser
+ *
+ * Capacity tables and symbol layout helpers are shared with qrdecode.js
+ */
+
+/**
+ * Error correction levels
+ * `ordinal` indexes the capacity tables, `formatBits` goes into the symbol
+ */
+export const ECC_LEVELS = {
+    L: { ordinal: 0, formatBits: 1 },
+    M: { ordinal: 1, formatBits: 0 },
+    Q: { ordinal: 2, formatBits: 3 },
+    H: { ordinal: 3, formatBits: 2 }
+};
+
+/**
+ * Error correction codewords per block, indexed by [level][version]
+ */
+export const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+/**
+ * Number of error correction blocks, indexed by [level][version]
+ */
+export const NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+/**
+ * Get bit at position
+ * @param {number} value - Source number
+ * @param {number} index - Bit index (0 = least significant)
+ * @returns {boolean}
+ */
+function getBit(value, index) {
+    return ((value >>> index) & 1) !== 0;
+}
+
+/**
+ * Number of modules available for data and ECC in a given version
+ * @param {number} version - QR version (1-40)
+ * @returns {number}
+ */
+export function getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) {
+            result -= 36;
+        }
+    }
+    return result;
+}
+
+/**
+ * Number of data codewords for a version and error correction level
+ * @param {number} version - QR version (1-40)
+ * @param {Object} ecl - Error correction level
+ * @returns {number}
+ */
+function getNumDataCodewords(version, ecl) {
+    return Math.floor(getNumRawDataModules(version) / 8) -
+        ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version] *
+        NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+}
+
+/**
+ * Multiply two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+/**
+ * Compute Reed-Solomon generator polynomial of given degree
+ * @param {number} degree - Number of ECC codewords
+ * @returns {Array<number>}
+ */
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < degree) {
+                result[j] ^= result[j + 1];
+            }
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+/**
+ * Compute Reed-Solomon remainder (the ECC codewords) for data
+ * @param {Array<number>} data - Data codewords
+ * @param {Array<number>} divisor - Generator polynomial
+ * @returns {Array<number>}
+ */
+function reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => {
+            result[i] ^= gfMultiply(coef, factor);
+        });
+    }
+    return result;
+}
+
+/**
+ * Split data into blocks, append ECC to each and interleave
+ * @param {Array<number>} data - Data codewords
+ * @param {number} version - QR version
+ * @param {Object} ecl - Error correction level
+ * @returns {Array<number>} - Final codeword sequence
+ */
+function addEccAndInterleave(data, version, ecl) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+    const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version];
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+    const divisor = reedSolomonDivisor(blockEccLen);
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const dataLen = shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1);
+        const block = data.slice(k, k + dataLen);
+        k += dataLen;
+        const ecc = reedSolomonRemainder(block, divisor);
+        // Short blocks get a placeholder so that all blocks have equal length
+        if (i < numShortBlocks) {
+            block.push(0);
+        }
+        blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+/**
+ * Build data codewords for byte-mode payload
+ * @param {Uint8Array} bytes - Payload
+ * @param {number} version - QR version
+ * @param {Object} ecl - Error correction level
+ * @returns {Array<number>}
+ */
+function buildDataCodewords(bytes, version, ecl) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+
+    // Mode indicator (byte) + character count
+    append(0x4, 4);
+    append(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    // Terminator and padding to full bytes
+    const capacityBits = getNumDataCodewords(version, ecl) * 8;
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+
+    // Alternating pad bytes
+    for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+        append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+/**
+ * Positions of alignment pattern centres for a version
+ * @param {number} version - QR version
+ * @param {number} size - Symbol size in modules
+ * @returns {Array<number>}
+ */
+export function getAlignmentPatternPositions(version, size) {
+    if (version === 1) {
+        return [];
+    }
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) {
+        result.splice(1, 0, pos);
+    }
+    return result;
+}
+
+/**
+ * Evaluate mask predicate for a module
+ * @param {number} mask - Mask pattern (0-7)
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {boolean}
+ */
+export function maskApplies(mask, x, y) {
+    switch (mask) {
+        case 0: return (x + y) % 2 === 0;
+        case 1: return y % 2 === 0;
+        case 2: return x % 3 === 0;
+        case 3: return (x + y) % 3 === 0;
+        case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+        case 5: return x * y % 2 + x * y % 3 === 0;
+        case 6: return (x * y % 2 + x * y % 3) % 2 === 0;
+        case 7: return ((x + y) % 2 + x * y % 3) % 2 === 0;
+        default: throw new Error(`Invalid mask: ${mask}`);
+    }
+}
+
+/**
+ * Penalty score for a finished symbol (lower is better)
+ * @param {Array<Array<boolean>>} modules - Module matrix
+ * @returns {number}
+ */
+function getPenaltyScore(modules) {
+    const size = modules.length;
+    const finderLike = [1, 0, 1, 1, 1, 0, 1];
+    let penalty = 0;
+    let dark = 0;
+
+    const scanLine = (get) => {
+        let runColor = get(0);
+        let runLength = 1;
+        for (let i = 1; i <= size; i++) {
+            const color = i < size ? get(i) : !runColor;
+            if (color === runColor) {
+                runLength++;
+                continue;
+            }
+            if (runLength >= 5) {
+                penalty += runLength - 2;
+            }
+            runColor = color;
+            runLength = 1;
+        }
+
+        // 1:1:3:1:1 finder-like patterns with 4 light modules on either side
+        for (let i = 0; i + 7 <= size; i++) {
+            if (!finderLike.every((bit, k) => get(i + k) === (bit === 1))) {
+                continue;
+            }
+            const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || !get(i - k));
+            const lightAfter = [0, 1, 2, 3].every(k => i + 7 + k >= size || !get(i + 7 + k));
+            if (lightBefore || lightAfter) {
+                penalty += 40;
+            }
+        }
+    };
+
+    for (let i = 0; i < size; i++) {
+        scanLine(x => modules[i][x]);
+        scanLine(y => modules[y][i]);
+    }
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) {
+                dark++;
+            }
+            if (x < size - 1 && y < size - 1) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] &&
+                    color === modules[y + 1][x] &&
+                    color === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+    }
+
+    const total = size * size;
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    penalty += Math.max(0, k) * 10;
+
+    return penalty;
+}
+
+/**
+ * Encode text into a QR code module matrix
+ * @param {string} text - Text to encode (UTF-8, byte mode)
+ * @param {Object} [options]
+ * @param {string} [options.ecl='M'] - Error correction level: L, M, Q or H
+ * @param {number} [options.minVersion=1] - Smallest allowed version
+ * @param {number} [options.maxVersion=40] - Largest allowed version
+ * @param {number} [options.mask=-1] - Mask pattern, -1 picks the best one
+ * @returns {{version: number, size: number, ecl: string, mask: number, modules: Array<Array<boolean>>}}
+ */
+export function encodeQR(text, { ecl = 'M', minVersion = MIN_VERSION, maxVersion = MAX_VERSION, mask = -1 } = {}) {
+    const level = ECC_LEVELS[ecl];
+    if (!level) {
+        throw new Error(`Unknown error correction level: ${ecl}`);
+    }
+    if (minVersion < MIN_VERSION || maxVersion > MAX_VERSION || minVersion > maxVersion) {
+        throw new RangeError('Invalid QR version range');
+    }
+    if (mask < -1 || mask > 7) {
+        throw new RangeError('Invalid QR mask');
+    }
+
+    const bytes = new TextEncoder().encode(text);
+
+    // Pick the smallest version that fits
+    let version = minVersion;
+    for (; ; version++) {
+        const usedBits = 4 + (version < 10 ? 8 : 16) + bytes.length * 8;
+        if (bytes.length < (version < 10 ? 0x100 : 0x10000) &&
+            usedBits <= getNumDataCodewords(version, level) * 8) {
+            break;
+        }
+        if (version >= maxVersion) {
+            throw new RangeError('Data too long for QR code');
+        }
+    }
+
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+
+    const setFunctionModule = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    const drawFormatBits = (maskPattern) => {
+        const data = level.formatBits << 3 | maskPattern;
+        let rem = data;
+        for (let i = 0; i < 10; i++) {
+            rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        }
+        const bits = (data << 10 | rem) ^ 0x5412;
+
+        // First copy, around the top-left finder
+        for (let i = 0; i <= 5; i++) {
+            setFunctionModule(8, i, getBit(bits, i));
+        }
+        setFunctionModule(8, 7, getBit(bits, 6));
+        setFunctionModule(8, 8, getBit(bits, 7));
+        setFunctionModule(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) {
+            setFunctionModule(14 - i, 8, getBit(bits, i));
+        }
+
+        // Second copy, split between the other two finders
+        for (let i = 0; i < 8; i++) {
+            setFunctionModule(size - 1 - i, 8, getBit(bits, i));
+        }
+        for (let i = 8; i < 15; i++) {
+            setFunctionModule(8, size - 15 + i, getBit(bits, i));
+        }
+        setFunctionModule(8, size - 8, true);
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        setFunctionModule(6, i, i % 2 === 0);
+        setFunctionModule(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x >= 0 && x < size && y >= 0 && y < size) {
+                    setFunctionModule(x, y, dist !== 2 && dist !== 4);
+                }
+            }
+        }
+    });
+
+    // Alignment patterns (skipping the three finder corners)
+    const alignPositions = getAlignmentPatternPositions(version, size);
+    const numAlign = alignPositions.length;
+    for (let i = 0; i < numAlign; i++) {
+        for (let j = 0; j < numAlign; j++) {
+            if ((i === 0 && j === 0) || (i === 0 && j === numAlign - 1) || (i === numAlign - 1 && j === 0)) {
+                continue;
+            }
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setFunctionModule(alignPositions[i] + dx, alignPositions[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }
+    }
+
+    // Reserve format area, real bits are drawn after masking
+    drawFormatBits(0);
+
+    // Version information (version 7 and up)
+    if (version >= 7) {
+        let rem = version;
+        for (let i = 0; i < 12; i++) {
+            rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+        }
+        const bits = version << 12 | rem;
+        for (let i = 0; i < 18; i++) {
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            setFunctionModule(a, b, getBit(bits, i));
+            setFunctionModule(b, a, getBit(bits, i));
+        }
+    }
+
+    // Data and ECC codewords in zigzag order
+    const codewords = addEccAndInterleave(buildDataCodewords(bytes, version, level), version, level);
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) {
+            right = 5;
+        }
+        for (let vert = 0; vert < size; vert++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vert : vert;
+                if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+                    modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+                    bitIndex++;
+                }
+            }
+        }
+    }
+
+    const applyMask = (maskPattern) => {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!isFunction[y][x] && maskApplies(maskPattern, x, y)) {
+                    modules[y][x] = !modules[y][x];
+                }
+            }
+        }
+    };
+
+    // Choose the mask with the lowest penalty
+    let chosenMask = mask;
+    if (chosenMask === -1) {
+        let minPenalty = Infinity;
+        for (let candidate = 0; candidate < 8; candidate++) {
+            applyMask(candidate);
+            drawFormatBits(candidate);
+            const penalty = getPenaltyScore(modules);
+            if (penalty < minPenalty) {
+                minPenalty = penalty;
+                chosenMask = candidate;
+            }
+            applyMask(candidate);
+        }
+    }
+
+    applyMask(chosenMask);
+    drawFormatBits(chosenMask);
+
+    return { version, size, ecl, mask: chosenMask, modules };
+}
+
+/**
+ * Render text as an inline SVG QR code
+ * @param {string} text - Text to encode
+ * @param {Object} [options]
+ * @param {number} [options.size=200] - Rendered width and height in pixels
+ * @param {number} [options.margin=2] - Quiet zone in modules
+ * @param {string} [options.color='#ffffff'] - Module colour
+ * @param {string} [options.background='#21262d'] - Background colour
+ * @param {string} [options.ecl='M'] - Error correction level
+ * @returns {string} - SVG markup
+ */
+export function renderQRCodeSVG(text, {
+    size = 200,
+    margin = 2,
+    color = '#ffffff',
+    background = '#21262d',
+    ecl = 'M'
+} = {}) {
+    const qr = encodeQR(text, { ecl });
+    const dimension = qr.size + margin * 2;
+
+    let path = '';
+    qr.modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) {
+                path += `M${x + margin},${y + margin}h1v1h-1z`;
+            }
+        });
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" width="${size}" height="${size}" shape-rendering="crispEdges" role="img" aria-label="QR Code">` +
+        `<rect width="100%" height="100%" fill="${background}"/>` +
+        `<path d="${path}" fill="${color}"/>` +
+        `</svg>`;
+}
@@ -0,0 +1,1065 @@
+/**
+ * QR Code Decoder
+ * Reads QR codes from images locally, so screenshots of secrets never
+ * leave the browser. BarcodeDetector is used where the browser has one,
+ * otherwise the built-in decoder (ISO/IEC 18004, model 2) takes over:
+ * binarisation, finder and alignment patterns, perspective sampling,
+ * format information, Reed-Solomon correction and segment parsing
+ */
+
+import {
+    ECC_LEVELS,
+    ECC_CODEWORDS_PER_BLOCK,
+    NUM_ERROR_CORRECTION_BLOCKS,
+    getNumRawDataModules,
+    getAlignmentPatternPositions,
+    maskApplies
+} from './qrcode.js';
+import { t } from './i18n.js';
+
+/**
+ * Largest image side given to the built-in decoder, bigger images are scaled down
+ */
+const MAX_IMAGE_SIDE = 1600;
+
+/**
+ * Binarisation block size and the contrast below which a block counts as flat
+ */
+const BLOCK_SIZE = 8;
+const MIN_DYNAMIC_RANGE = 24;
+
+/**
+ * Characters of alphanumeric mode
+ */
+const ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// GF(2^8) exponent and logarithm tables (x^8 + x^4 + x^3 + x^2 + 1), built on first use
+let gfExp = null;
+let gfLog = null;
+
+/**
+ * Build GF(2^8) tables
+ */
+function initGaloisField() {
+    if (gfExp) return;
+    gfExp = new Uint8Array(512);
+    gfLog = new Uint8Array(256);
+    for (let i = 0, x = 1; i < 255; i++) {
+        gfExp[i] = x;
+        gfLog[x] = i;
+        x <<= 1;
+        if (x & 0x100) {
+            x ^= 0x11d;
+        }
+    }
+    for (let i = 255; i < 512; i++) {
+        gfExp[i] = gfExp[i - 255];
+    }
+}
+
+/**
+ * Multiply in GF(2^8)
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function gfMultiply(x, y) {
+    return x === 0 || y === 0 ? 0 : gfExp[gfLog[x] + gfLog[y]];
+}
+
+/**
+ * Multiplicative inverse in GF(2^8)
+ * @param {number} x - Non-zero element
+ * @returns {number}
+ */
+function gfInverse(x) {
+    return gfExp[255 - gfLog[x]];
+}
+
+/**
+ * Strip leading zero coefficients (polynomials are highest degree first)
+ * @param {Array<number>} poly
+ * @returns {Array<number>}
+ */
+function polyTrim(poly) {
+    let start = 0;
+    while (start < poly.length - 1 && poly[start] === 0) {
+        start++;
+    }
+    return poly.slice(start);
+}
+
+/**
+ * Degree of polynomial
+ * @param {Array<number>} poly
+ * @returns {number}
+ */
+function polyDegree(poly) {
+    return poly.length - 1;
+}
+
+/**
+ * Coefficient of x^degree
+ * @param {Array<number>} poly
+ * @param {number} degree
+ * @returns {number}
+ */
+function polyCoefficient(poly, degree) {
+    return poly[poly.length - 1 - degree];
+}
+
+/**
+ * Build coefficient * x^degree
+ * @param {number} degree
+ * @param {number} coefficient
+ * @returns {Array<number>}
+ */
+function polyMonomial(degree, coefficient) {
+    return coefficient === 0 ? [0] : [coefficient, ...new Array(degree).fill(0)];
+}
+
+/**
+ * Add (xor) two polynomials
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {Array<number>}
+ */
+function polyAdd(a, b) {
+    const [short, long] = a.length < b.length ? [a, b] : [b, a];
+    const result = long.slice();
+    const shift = long.length - short.length;
+    short.forEach((coefficient, i) => {
+        result[shift + i] ^= coefficient;
+    });
+    return polyTrim(result);
+}
+
+/**
+ * Multiply two polynomials
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {Array<number>}
+ */
+function polyMultiply(a, b) {
+    const result = new Array(a.length + b.length - 1).fill(0);
+    a.forEach((x, i) => {
+        b.forEach((y, j) => {
+            result[i + j] ^= gfMultiply(x, y);
+        });
+    });
+    return polyTrim(result);
+}
+
+/**
+ * Multiply polynomial by coefficient * x^degree
+ * @param {Array<number>} poly
+ * @param {number} degree
+ * @param {number} coefficient
+ * @returns {Array<number>}
+ */
+function polyScale(poly, degree, coefficient) {
+    if (coefficient === 0) return [0];
+    return polyTrim([...poly.map(value => gfMultiply(value, coefficient)), ...new Array(degree).fill(0)]);
+}
+
+/**
+ * Evaluate polynomial at point
+ * @param {Array<number>} poly
+ * @param {number} x
+ * @returns {number}
+ */
+function polyEvaluate(poly, x) {
+    if (x === 0) return polyCoefficient(poly, 0);
+    return poly.reduce((result, coefficient) => gfMultiply(result, x) ^ coefficient, 0);
+}
+
+/**
+ * Compute Reed-Solomon syndromes of a block
+ * @param {Array<number>} block - Data and ECC codewords
+ * @param {number} eccLength - Number of ECC codewords
+ * @returns {Array<number>|null} - Syndrome polynomial, null if the block is intact
+ */
+function getSyndromes(block, eccLength) {
+    const syndromes = new Array(eccLength).fill(0);
+    let intact = true;
+    for (let i = 0; i < eccLength; i++) {
+        syndromes[eccLength - 1 - i] = polyEvaluate(block, gfExp[i]);
+        if (syndromes[eccLength - 1 - i] !== 0) {
+            intact = false;
+        }
+    }
+    return intact ? null : polyTrim(syndromes);
+}
+
+/**
+ * Correct errors of a block in place (Euclidean algorithm, Chien search, Forney)
+ * @param {Array<number>} block - Data and ECC codewords
+ * @param {number} eccLength - Number of ECC codewords
+ * @returns {boolean} - False if the block has more errors than ECC can fix
+ */
+function correctBlock(block, eccLength) {
+    initGaloisField();
+
+    const syndromes = getSyndromes(block, eccLength);
+    if (!syndromes) return true;
+
+    // Error locator (sigma) and evaluator (omega) from x^eccLength and the syndromes
+    let rLast = polyMonomial(eccLength, 1);
+    let r = syndromes;
+    let tLast = [0];
+    let t = [1];
+    while (2 * polyDegree(r) >= eccLength) {
+        const rLastLast = rLast;
+        const tLastLast = tLast;
+        rLast = r;
+        tLast = t;
+        if (rLast[0] === 0) return false;
+
+        r = rLastLast;
+        let quotient = [0];
+        const leadingInverse = gfInverse(rLast[0]);
+        while (polyDegree(r) >= polyDegree(rLast) && r[0] !== 0) {
+            const degreeDiff = polyDegree(r) - polyDegree(rLast);
+            const scale = gfMultiply(r[0], leadingInverse);
+            quotient = polyAdd(quotient, polyMonomial(degreeDiff, scale));
+            r = polyAdd(r, polyScale(rLast, degreeDiff, scale));
+        }
+        t = polyAdd(polyMultiply(quotient, tLast), tLastLast);
+        if (polyDegree(r) >= polyDegree(rLast)) return false;
+    }
+
+    const sigmaAtZero = polyCoefficient(t, 0);
+    if (sigmaAtZero === 0) return false;
+    const sigma = polyScale(t, 0, gfInverse(sigmaAtZero));
+    const omega = polyScale(r, 0, gfInverse(sigmaAtZero));
+
+    // Roots of the locator give error positions
+    const numErrors = polyDegree(sigma);
+    if (numErrors === 0) return false;
+    const locations = [];
+    if (numErrors === 1) {
+        locations.push(polyCoefficient(sigma, 1));
+    } else {
+        for (let i = 1; i < 256 && locations.length < numErrors; i++) {
+            if (polyEvaluate(sigma, i) === 0) {
+                locations.push(gfInverse(i));
+            }
+        }
+    }
+    if (locations.length !== numErrors) return false;
+
+    for (let i = 0; i < numErrors; i++) {
+        const inverse = gfInverse(locations[i]);
+        let denominator = 1;
+        for (let j = 0; j < numErrors; j++) {
+            if (j !== i) {
+                denominator = gfMultiply(denominator, gfMultiply(locations[j], inverse) ^ 1);
+            }
+        }
+        const position = block.length - 1 - gfLog[locations[i]];
+        if (position < 0 || denominator === 0) return false;
+        block[position] ^= gfMultiply(polyEvaluate(omega, inverse), gfInverse(denominator));
+    }
+
+    // Слишком много ошибок иногда «исправляется» в другой мусор
+    return getSyndromes(block, eccLength) === null;
+}
+
+/**
+ * Convert RGBA pixels to luminance
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} count - Number of pixels
+ * @returns {Uint8Array}
+ */
+function toLuminance(data, count) {
+    const luminance = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+        luminance[i] = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+    }
+    return luminance;
+}
+
+/**
+ * Binarise luminance with thresholds local to 8x8 blocks
+ * Flat blocks take the threshold of their neighbours, so large modules stay solid
+ * @param {Uint8Array} luminance - Pixel luminance
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array} - 1 for dark pixels
+ */
+function binarize(luminance, width, height) {
+    const bits = new Uint8Array(width * height);
+
+    // Мелкое изображение: блоков не набрать, хватит общего порога
+    if (width < BLOCK_SIZE * 5 || height < BLOCK_SIZE * 5) {
+        const threshold = luminance.reduce((sum, value) => sum + value, 0) / luminance.length;
+        luminance.forEach((value, i) => {
+            bits[i] = value < threshold ? 1 : 0;
+        });
+        return bits;
+    }
+
+    const blocksX = Math.ceil(width / BLOCK_SIZE);
+    const blocksY = Math.ceil(height / BLOCK_SIZE);
+    const blockOrigin = (bx, by) => [
+        Math.min(bx * BLOCK_SIZE, width - BLOCK_SIZE),
+        Math.min(by * BLOCK_SIZE, height - BLOCK_SIZE)
+    ];
+
+    const blackPoints = new Float32Array(blocksX * blocksY);
+    for (let by = 0; by < blocksY; by++) {
+        for (let bx = 0; bx < blocksX; bx++) {
+            const [x0, y0] = blockOrigin(bx, by);
+            let sum = 0;
+            let min = 255;
+            let max = 0;
+            for (let y = y0; y < y0 + BLOCK_SIZE; y++) {
+                for (let x = x0; x < x0 + BLOCK_SIZE; x++) {
+                    const value = luminance[y * width + x];
+                    sum += value;
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                }
+            }
+
+            let average = sum / (BLOCK_SIZE * BLOCK_SIZE);
+            if (max - min <= MIN_DYNAMIC_RANGE) {
+                average = min / 2;
+                if (bx > 0 && by > 0) {
+                    const neighbours = (blackPoints[(by - 1) * blocksX + bx] +
+                        2 * blackPoints[by * blocksX + bx - 1] +
+                        blackPoints[(by - 1) * blocksX + bx - 1]) / 4;
+                    if (min < neighbours) {
+                        average = neighbours;
+                    }
+                }
+            }
+            blackPoints[by * blocksX + bx] = average;
+        }
+    }
+
+    for (let by = 0; by < blocksY; by++) {
+        for (let bx = 0; bx < blocksX; bx++) {
+            const cx = Math.min(Math.max(bx, 2), blocksX - 3);
+            const cy = Math.min(Math.max(by, 2), blocksY - 3);
+            let sum = 0;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    sum += blackPoints[(cy + dy) * blocksX + cx + dx];
+                }
+            }
+            const threshold = sum / 25;
+
+            const [x0, y0] = blockOrigin(bx, by);
+            for (let y = y0; y < y0 + BLOCK_SIZE; y++) {
+                for (let x = x0; x < x0 + BLOCK_SIZE; x++) {
+                    bits[y * width + x] = luminance[y * width + x] <= threshold ? 1 : 0;
+                }
+            }
+        }
+    }
+    return bits;
+}
+
+/**
+ * Check run lengths for the 1:1:3:1:1 finder pattern ratio
+ * @param {Array<number>} counts - Five run lengths
+ * @returns {boolean}
+ */
+function isFinderRatio(counts) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (total < 7) return false;
+    const moduleSize = total / 7;
+    const maxVariance = moduleSize / 2;
+    return Math.abs(moduleSize - counts[0]) < maxVariance &&
+        Math.abs(moduleSize - counts[1]) < maxVariance &&
+        Math.abs(3 * moduleSize - counts[2]) < 3 * maxVariance &&
+        Math.abs(moduleSize - counts[3]) < maxVariance &&
+        Math.abs(moduleSize - counts[4]) < maxVariance;
+}
+
+/**
+ * Confirm finder pattern along a line through a point
+ * @param {Object} image - { bits, width, height }
+ * @param {number} x - Start column
+ * @param {number} y - Start row
+ * @param {number} dx - Step along x (0 or 1)
+ * @param {number} dy - Step along y (0 or 1)
+ * @param {number} maxCount - Longest run allowed for a single module
+ * @param {number} originalTotal - Pattern width found by the row scan
+ * @returns {number} - Centre coordinate along the line, NaN if not a finder pattern
+ */
+function crossCheck(image, x, y, dx, dy, maxCount, originalTotal) {
+    const { bits, width, height } = image;
+    const inside = i => x + dx * i >= 0 && x + dx * i < width && y + dy * i >= 0 && y + dy * i < height;
+    const dark = i => bits[(y + dy * i) * width + x + dx * i] === 1;
+    const counts = [0, 0, 0, 0, 0];
+
+    let i = 0;
+    for (; inside(i) && dark(i); i--) counts[2]++;
+    if (!inside(i)) return NaN;
+    for (; inside(i) && !dark(i) && counts[1] <= maxCount; i--) counts[1]++;
+    if (!inside(i) || counts[1] > maxCount) return NaN;
+    for (; inside(i) && dark(i) && counts[0] <= maxCount; i--) counts[0]++;
+    if (counts[0] > maxCount) return NaN;
+
+    i = 1;
+    for (; inside(i) && dark(i); i++) counts[2]++;
+    if (!inside(i)) return NaN;
+    for (; inside(i) && !dark(i) && counts[3] <= maxCount; i++) counts[3]++;
+    if (!inside(i) || counts[3] > maxCount) return NaN;
+    for (; inside(i) && dark(i) && counts[4] <= maxCount; i++) counts[4]++;
+    if (counts[4] > maxCount) return NaN;
+
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (5 * Math.abs(total - originalTotal) >= 2 * originalTotal || !isFinderRatio(counts)) {
+        return NaN;
+    }
+    return (dx ? x : y) + i - counts[4] - counts[3] - counts[2] / 2;
+}
+
+/**
+ * Find finder pattern candidates by scanning rows and confirming across
+ * @param {Object} image - { bits, width, height }
+ * @returns {Array<Object>} - { x, y, moduleSize, count }, count is the number of confirming rows
+ */
+function findFinderCandidates(image) {
+    const { bits, width, height } = image;
+    const candidates = [];
+    const rowStep = Math.max(1, Math.floor(height / 400));
+
+    const addCandidate = (counts, endX, y) => {
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const rowCenter = endX - counts[4] - counts[3] - counts[2] / 2;
+        const centerY = crossCheck(image, Math.floor(rowCenter), y, 0, 1, counts[2], total);
+        if (Number.isNaN(centerY)) return;
+        const centerX = crossCheck(image, Math.floor(rowCenter), Math.floor(centerY), 1, 0, counts[2], total);
+        if (Number.isNaN(centerX)) return;
+
+        const moduleSize = total / 7;
+        const same = candidates.find(candidate =>
+            Math.abs(candidate.x - centerX) <= candidate.moduleSize &&
+            Math.abs(candidate.y - centerY) <= candidate.moduleSize &&
+            Math.abs(candidate.moduleSize - moduleSize) <= Math.max(1, candidate.moduleSize));
+        if (same) {
+            const count = same.count + 1;
+            same.x = (same.x * same.count + centerX) / count;
+            same.y = (same.y * same.count + centerY) / count;
+            same.moduleSize = (same.moduleSize * same.count + moduleSize) / count;
+            same.count = count;
+        } else {
+            candidates.push({ x: centerX, y: centerY, moduleSize, count: 1 });
+        }
+    };
+
+    for (let y = rowStep >> 1; y < height; y += rowStep) {
+        let counts = [0, 0, 0, 0, 0];
+        let state = 0;
+        for (let x = 0; x <= width; x++) {
+            const dark = x < width && bits[y * width + x] === 1;
+            if (dark) {
+                // Светлый отрезок кончился, начинается тёмный
+                if (state & 1) state++;
+                counts[state]++;
+                continue;
+            }
+            if (state === 0 && counts[0] === 0) continue;
+            if ((state & 1) === 0) {
+                if (state === 4) {
+                    if (isFinderRatio(counts)) {
+                        addCandidate(counts, x, y);
+                    }
+                    // Last two runs may start the next pattern
+                    counts = [counts[2], counts[3], counts[4], 1, 0];
+                    state = 3;
+                    continue;
+                }
+                state++;
+            }
+            counts[state]++;
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Pick the three candidates that form the finder corners of one symbol
+ * @param {Array<Object>} candidates - Result of findFinderCandidates
+ * @returns {Object|null} - { topLeft, topRight, bottomLeft, moduleSize }
+ */
+function selectFinderPatterns(candidates) {
+    const pool = candidates.slice().sort((a, b) => b.count - a.count).slice(0, 10);
+    const squaredDistance = (a, b) => (a.x - b.x) ** 2 + (a.y - b.y) ** 2;
+
+    let best = null;
+    let bestScore = 0.5;
+    for (let i = 0; i < pool.length; i++) {
+        for (let j = i + 1; j < pool.length; j++) {
+            for (let k = j + 1; k < pool.length; k++) {
+                const points = [pool[i], pool[j], pool[k]];
+                const sizes = points.map(point => point.moduleSize);
+                const moduleSize = (sizes[0] + sizes[1] + sizes[2]) / 3;
+                if (Math.max(...sizes) > 1.5 * Math.min(...sizes)) continue;
+
+                // Top-left corner is opposite the longest side
+                const sides = [
+                    [squaredDistance(points[1], points[2]), 0],
+                    [squaredDistance(points[0], points[2]), 1],
+                    [squaredDistance(points[0], points[1]), 2]
+                ].sort((a, b) => b[0] - a[0]);
+                const [hypotenuse, corner] = sides[0];
+                const legA = sides[1][0];
+                const legB = sides[2][0];
+                if (legB < (10 * moduleSize) ** 2) continue;
+
+                const score = Math.abs(hypotenuse - legA - legB) / hypotenuse + (legA - legB) / legA;
+                if (score >= bestScore) continue;
+
+                const topLeft = points[corner];
+                let [topRight, bottomLeft] = points.filter((point, index) => index !== corner);
+                // In image coordinates (y down) top-right x bottom-left is positive
+                const cross = (topRight.x - topLeft.x) * (bottomLeft.y - topLeft.y) -
+                    (topRight.y - topLeft.y) * (bottomLeft.x - topLeft.x);
+                if (cross < 0) {
+                    [topRight, bottomLeft] = [bottomLeft, topRight];
+                }
+                best = { topLeft, topRight, bottomLeft, moduleSize };
+                bestScore = score;
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Measure finder pattern width along the line to another finder
+ * Row and column runs overstate it in rotated images, the line does not
+ * @param {Object} image - { bits, width, height }
+ * @param {Object} from - Finder centre
+ * @param {Object} to - Another finder centre
+ * @returns {number} - Width in pixels (7 modules), NaN if the pattern is broken
+ */
+function measureFinderWidth(image, from, to) {
+    const { bits, width, height } = image;
+    const length = Math.hypot(to.x - from.x, to.y - from.y);
+    const ux = (to.x - from.x) / length;
+    const uy = (to.y - from.y) / length;
+
+    // From the centre: dark core, light ring, dark ring, then light again
+    const halfWidth = (sign) => {
+        let state = 0;
+        for (let d = 0; d < length / 2; d++) {
+            const x = Math.floor(from.x + sign * ux * d);
+            const y = Math.floor(from.y + sign * uy * d);
+            const dark = x >= 0 && y >= 0 && x < width && y < height && bits[y * width + x] === 1;
+            if (dark === (state % 2 === 1)) {
+                state++;
+                if (state === 3) return d;
+            }
+        }
+        return NaN;
+    };
+    return halfWidth(1) + halfWidth(-1);
+}
+
+/**
+ * Versions worth trying for the finder distance, nearest estimate first
+ * @param {Object} image - { bits, width, height }
+ * @param {Object} finders - Result of selectFinderPatterns
+ * @returns {Array<number>}
+ */
+function estimateVersions(image, finders) {
+    const { topLeft, topRight, bottomLeft } = finders;
+    const widths = [
+        measureFinderWidth(image, topLeft, topRight),
+        measureFinderWidth(image, topRight, topLeft),
+        measureFinderWidth(image, topLeft, bottomLeft),
+        measureFinderWidth(image, bottomLeft, topLeft)
+    ].filter(width => !Number.isNaN(width));
+    const moduleSize = widths.length > 0
+        ? widths.reduce((sum, width) => sum + width, 0) / widths.length / 7
+        : finders.moduleSize;
+
+    const span = (Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y) +
+        Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y)) / 2 / moduleSize;
+    const estimate = (span + 7 - 17) / 4;
+
+    return [0, -1, 1, -2, 2]
+        .map(delta => Math.round(estimate) + delta)
+        .filter(version => version >= 1 && version <= 40)
+        .sort((a, b) => Math.abs(a - estimate) - Math.abs(b - estimate));
+}
+
+/**
+ * Locate the bottom-right alignment pattern near its expected position
+ * @param {Object} image - { bits, width, height }
+ * @param {Object} finders - Result of selectFinderPatterns
+ * @param {number} size - Symbol size in modules
+ * @returns {Object|null} - Centre { x, y }
+ */
+function findAlignmentPattern(image, finders, size) {
+    const { bits, width, height } = image;
+    const { topLeft, topRight, bottomLeft } = finders;
+    const span = size - 7;
+    const u = { x: (topRight.x - topLeft.x) / span, y: (topRight.y - topLeft.y) / span };
+    const v = { x: (bottomLeft.x - topLeft.x) / span, y: (bottomLeft.y - topLeft.y) / span };
+    const moduleSize = (Math.hypot(u.x, u.y) + Math.hypot(v.x, v.y)) / 2;
+    const estimate = {
+        x: topLeft.x + (size - 10) * (u.x + v.x),
+        y: topLeft.y + (size - 10) * (u.y + v.y)
+    };
+
+    const radius = 12 * moduleSize;
+    const step = Math.max(1, Math.floor(moduleSize / 3));
+    let bestScore = 0;
+    let matches = [];
+    for (let y = estimate.y - radius; y <= estimate.y + radius; y += step) {
+        for (let x = estimate.x - radius; x <= estimate.x + radius; x += step) {
+            let score = 0;
+            for (let j = -2; j <= 2; j++) {
+                for (let i = -2; i <= 2; i++) {
+                    const px = Math.floor(x + i * u.x + j * v.x);
+                    const py = Math.floor(y + i * u.y + j * v.y);
+                    const dark = px >= 0 && py >= 0 && px < width && py < height && bits[py * width + px] === 1;
+                    if (dark === (Math.max(Math.abs(i), Math.abs(j)) !== 1)) {
+                        score++;
+                    }
+                }
+            }
+            if (score > bestScore) {
+                bestScore = score;
+                matches = [{ x, y }];
+            } else if (score === bestScore) {
+                matches.push({ x, y });
+            }
+        }
+    }
+    if (bestScore < 24) return null;
+
+    // Совпадения образуют пятно вокруг центра, берём ближайшее к оценке
+    const distance = point => Math.hypot(point.x - estimate.x, point.y - estimate.y);
+    const nearest = matches.reduce((a, b) => distance(a) <= distance(b) ? a : b);
+    const cluster = matches.filter(point => Math.hypot(point.x - nearest.x, point.y - nearest.y) <= moduleSize);
+    return {
+        x: cluster.reduce((sum, point) => sum + point.x, 0) / cluster.length,
+        y: cluster.reduce((sum, point) => sum + point.y, 0) / cluster.length
+    };
+}
+
+/**
+ * Build perspective transform mapping the unit square to a quadrilateral
+ * @param {Array<Object>} quad - Corners { x, y } in order (0,0), (1,0), (1,1), (0,1)
+ * @returns {Object} - Matrix coefficients a11..a33
+ */
+function squareToQuad([p0, p1, p2, p3]) {
+    const dx3 = p0.x - p1.x + p2.x - p3.x;
+    const dy3 = p0.y - p1.y + p2.y - p3.y;
+    if (dx3 === 0 && dy3 === 0) {
+        return {
+            a11: p1.x - p0.x, a21: p2.x - p1.x, a31: p0.x,
+            a12: p1.y - p0.y, a22: p2.y - p1.y, a32: p0.y,
+            a13: 0, a23: 0, a33: 1
+        };
+    }
+    const dx1 = p1.x - p2.x;
+    const dx2 = p3.x - p2.x;
+    const dy1 = p1.y - p2.y;
+    const dy2 = p3.y - p2.y;
+    const denominator = dx1 * dy2 - dx2 * dy1;
+    const a13 = (dx3 * dy2 - dx2 * dy3) / denominator;
+    const a23 = (dx1 * dy3 - dx3 * dy1) / denominator;
+    return {
+        a11: p1.x - p0.x + a13 * p1.x, a21: p3.x - p0.x + a23 * p3.x, a31: p0.x,
+        a12: p1.y - p0.y + a13 * p1.y, a22: p3.y - p0.y + a23 * p3.y, a32: p0.y,
+        a13, a23, a33: 1
+    };
+}
+
+/**
+ * Build inverse transform (adjoint, projective scale is irrelevant)
+ * @param {Object} m - Matrix coefficients
+ * @returns {Object}
+ */
+function adjoint(m) {
+    return {
+        a11: m.a22 * m.a33 - m.a23 * m.a32, a21: m.a23 * m.a31 - m.a21 * m.a33, a31: m.a21 * m.a32 - m.a22 * m.a31,
+        a12: m.a13 * m.a32 - m.a12 * m.a33, a22: m.a11 * m.a33 - m.a13 * m.a31, a32: m.a12 * m.a31 - m.a11 * m.a32,
+        a13: m.a12 * m.a23 - m.a13 * m.a22, a23: m.a13 * m.a21 - m.a11 * m.a23, a33: m.a11 * m.a22 - m.a12 * m.a21
+    };
+}
+
+/**
+ * Apply transform to a point
+ * @param {Object} m - Matrix coefficients
+ * @param {number} x
+ * @param {number} y
+ * @returns {Object} - { x, y }
+ */
+function transformPoint(m, x, y) {
+    const denominator = m.a13 * x + m.a23 * y + m.a33;
+    return {
+        x: (m.a11 * x + m.a21 * y + m.a31) / denominator,
+        y: (m.a12 * x + m.a22 * y + m.a32) / denominator
+    };
+}
+
+/**
+ * Sample module grid of a symbol
+ * @param {Object} image - { bits, width, height }
+ * @param {Object} finders - Result of selectFinderPatterns
+ * @param {number} version - Assumed version
+ * @returns {Array<Array<boolean>>} - Dark modules
+ */
+function sampleGrid(image, finders, version) {
+    const { bits, width, height } = image;
+    const { topLeft, topRight, bottomLeft } = finders;
+    const size = version * 4 + 17;
+
+    // Without an alignment pattern the fourth corner completes a parallelogram
+    let corner = { x: topRight.x + bottomLeft.x - topLeft.x, y: topRight.y + bottomLeft.y - topLeft.y };
+    let cornerModule = size - 3.5;
+    const alignment = version >= 2 ? findAlignmentPattern(image, finders, size) : null;
+    if (alignment) {
+        corner = alignment;
+        cornerModule = size - 6.5;
+    }
+
+    const toSquare = adjoint(squareToQuad([
+        { x: 3.5, y: 3.5 },
+        { x: size - 3.5, y: 3.5 },
+        { x: cornerModule, y: cornerModule },
+        { x: 3.5, y: size - 3.5 }
+    ]));
+    const toImage = squareToQuad([topLeft, topRight, corner, bottomLeft]);
+
+    return Array.from({ length: size }, (row, y) => Array.from({ length: size }, (cell, x) => {
+        const square = transformPoint(toSquare, x + 0.5, y + 0.5);
+        const point = transformPoint(toImage, square.x, square.y);
+        const px = Math.min(width - 1, Math.max(0, Math.floor(point.x)));
+        const py = Math.min(height - 1, Math.max(0, Math.floor(point.y)));
+        return bits[py * width + px] === 1;
+    }));
+}
+
+/**
+ * Mark function modules (finders, timing, alignment, format and version areas)
+ * @param {number} version - QR version
+ * @returns {Array<Array<boolean>>}
+ */
+function getFunctionModules(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const mark = (x0, y0, w, h) => {
+        for (let y = y0; y < y0 + h; y++) {
+            for (let x = x0; x < x0 + w; x++) {
+                modules[y][x] = true;
+            }
+        }
+    };
+
+    // Finders with separators and format information
+    mark(0, 0, 9, 9);
+    mark(size - 8, 0, 8, 9);
+    mark(0, size - 8, 9, 8);
+
+    // Timing patterns
+    mark(6, 0, 1, size);
+    mark(0, 6, size, 1);
+
+    const positions = getAlignmentPatternPositions(version, size);
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+        positions.forEach((y, j) => {
+            if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) {
+                mark(x - 2, y - 2, 5, 5);
+            }
+        });
+    });
+
+    if (version >= 7) {
+        mark(size - 11, 0, 3, 6);
+        mark(0, size - 11, 6, 3);
+    }
+    return modules;
+}
+
+/**
+ * Read format information, trying both copies
+ * @param {Array<Array<boolean>>} grid - Sampled modules
+ * @returns {Object|null} - { level, mask }
+ */
+function readFormat(grid) {
+    const size = grid.length;
+    const bit = (x, y) => grid[y][x] ? 1 : 0;
+
+    let first = 0;
+    for (let i = 0; i <= 5; i++) first |= bit(8, i) << i;
+    first |= bit(8, 7) << 6;
+    first |= bit(8, 8) << 7;
+    first |= bit(7, 8) << 8;
+    for (let i = 9; i < 15; i++) first |= bit(14 - i, 8) << i;
+
+    let second = 0;
+    for (let i = 0; i < 8; i++) second |= bit(size - 1 - i, 8) << i;
+    for (let i = 8; i < 15; i++) second |= bit(8, size - 15 + i) << i;
+
+    // BCH(15,5) corrects up to 3 flipped bits
+    let best = null;
+    let bestDistance = 4;
+    for (const level of Object.values(ECC_LEVELS)) {
+        for (let mask = 0; mask < 8; mask++) {
+            const data = level.formatBits << 3 | mask;
+            let rem = data;
+            for (let i = 0; i < 10; i++) {
+                rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+            }
+            const word = (data << 10 | rem) ^ 0x5412;
+
+            for (const read of [first, second]) {
+                let distance = 0;
+                for (let diff = word ^ read; diff; diff >>>= 1) {
+                    distance += diff & 1;
+                }
+                if (distance < bestDistance) {
+                    best = { level, mask };
+                    bestDistance = distance;
+                }
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Read, deinterleave and correct data codewords
+ * @param {Array<Array<boolean>>} grid - Sampled modules
+ * @param {number} version - QR version
+ * @param {Object} format - Result of readFormat
+ * @returns {Array<number>|null} - Data codewords, null if uncorrectable
+ */
+function readCodewords(grid, version, { level, mask }) {
+    const size = grid.length;
+    const isFunction = getFunctionModules(version);
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const codewords = new Array(rawCodewords).fill(0);
+
+    // Same zigzag as the encoder
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) {
+            right = 5;
+        }
+        for (let vert = 0; vert < size; vert++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vert : vert;
+                if (!isFunction[y][x] && bitIndex < rawCodewords * 8) {
+                    if (grid[y][x] !== maskApplies(mask, x, y)) {
+                        codewords[bitIndex >>> 3] |= 1 << (7 - (bitIndex & 7));
+                    }
+                    bitIndex++;
+                }
+            }
+        }
+    }
+
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level.ordinal][version];
+    const blockEccLen = ECC_CODEWORDS_PER_BLOCK[level.ordinal][version];
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+    // Short blocks lack the last data codeword
+    const blocks = Array.from({ length: numBlocks }, () => []);
+    let k = 0;
+    for (let i = 0; i <= shortBlockLen; i++) {
+        for (let j = 0; j < numBlocks; j++) {
+            if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+                blocks[j].push(codewords[k++]);
+            }
+        }
+    }
+
+    const data = [];
+    for (const block of blocks) {
+        if (!correctBlock(block, blockEccLen)) return null;
+        data.push(...block.slice(0, block.length - blockEccLen));
+    }
+    return data;
+}
+
+/**
+ * Decode bytes as UTF-8, falling back to Latin-1
+ * @param {Array<number>} bytes
+ * @returns {string}
+ */
+function decodeText(bytes) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(new Uint8Array(bytes));
+    } catch (e) {
+        return String.fromCharCode(...bytes);
+    }
+}
+
+/**
+ * Parse data segments (numeric, alphanumeric, byte; ECI and FNC1 are skipped)
+ * @param {Array<number>} data - Data codewords
+ * @param {number} version - QR version
+ * @returns {string|null} - Null for Kanji or malformed data
+ */
+function parseSegments(data, version) {
+    let offset = 0;
+    const available = () => data.length * 8 - offset;
+    const read = (length) => {
+        if (length > available()) {
+            throw new RangeError('Segment runs past the data');
+        }
+        let value = 0;
+        for (let i = 0; i < length; i++, offset++) {
+            value = (value << 1) | ((data[offset >>> 3] >>> (7 - (offset & 7))) & 1);
+        }
+        return value;
+    };
+    const sizeClass = version < 10 ? 0 : version < 27 ? 1 : 2;
+    const bytes = [];
+    const pushText = text => bytes.push(...Array.from(text, char => char.charCodeAt(0)));
+
+    try {
+        while (available() >= 4) {
+            const mode = read(4);
+            if (mode === 0x0) break;
+
+            if (mode === 0x1) {
+                let count = read([10, 12, 14][sizeClass]);
+                for (; count >= 3; count -= 3) {
+                    const value = read(10);
+                    if (value > 999) return null;
+                    pushText(String(value).padStart(3, '0'));
+                }
+                if (count > 0) {
+                    const value = read(count === 2 ? 7 : 4);
+                    if (value >= 10 ** count) return null;
+                    pushText(String(value).padStart(count, '0'));
+                }
+            } else if (mode === 0x2) {
+                let count = read([9, 11, 13][sizeClass]);
+                for (; count >= 2; count -= 2) {
+                    const value = read(11);
+                    if (value >= 45 * 45) return null;
+                    pushText(ALPHANUMERIC[Math.floor(value / 45)] + ALPHANUMERIC[value % 45]);
+                }
+                if (count > 0) {
+                    const value = read(6);
+                    if (value >= 45) return null;
+                    pushText(ALPHANUMERIC[value]);
+                }
+            } else if (mode === 0x4) {
+                for (let count = read([8, 16, 16][sizeClass]); count > 0; count--) {
+                    bytes.push(read(8));
+                }
+            } else if (mode === 0x7) {
+                // ECI designator takes 1-3 bytes; text is decoded as UTF-8 anyway
+                const first = read(8);
+                if ((first & 0xc0) === 0x80) {
+                    read(8);
+                } else if ((first & 0xe0) === 0xc0) {
+                    read(16);
+                }
+            } else if (mode === 0x3) {
+                read(16);
+            } else if (mode === 0x9) {
+                read(8);
+            } else if (mode !== 0x5) {
+                return null;
+            }
+        }
+    } catch (e) {
+        return null;
+    }
+    return decodeText(bytes);
+}
+
+/**
+ * Decode QR code from a binarised image
+ * @param {Object} image - { bits, width, height }
+ * @returns {string|null}
+ */
+function decodeBinary(image) {
+    const finders = selectFinderPatterns(findFinderCandidates(image));
+    if (!finders) return null;
+
+    for (const version of estimateVersions(image, finders)) {
+        const grid = sampleGrid(image, finders, version);
+        const format = readFormat(grid);
+        if (!format) continue;
+        const data = readCodewords(grid, version, format);
+        if (data) {
+            return parseSegments(data, version);
+        }
+    }
+    return null;
+}
+
+/**
+ * Decode QR code from pixels with the built-in decoder
+ * Light-on-dark codes (like the ones this page draws) are tried inverted
+ * @param {Object} imageData - ImageData-like { data, width, height }
+ * @returns {string|null} - Decoded text, null if no readable code was found
+ */
+export function decodeQR({ data, width, height }) {
+    const luminance = toLuminance(data, width * height);
+
+    let text = decodeBinary({ bits: binarize(luminance, width, height), width, height });
+    if (text === null) {
+        luminance.forEach((value, i) => {
+            luminance[i] = 255 - value;
+        });
+        text = decodeBinary({ bits: binarize(luminance, width, height), width, height });
+    }
+    return text;
+}
+
+/**
+ * Read QR code from an image file
+ * @param {Blob} blob - Uploaded or pasted image
+ * @returns {Promise<string|null>} - Decoded text, null if no code was found
+ * @throws {Error} - If the file is not a readable image
+ */
+export async function scanQRImage(blob) {
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(blob);
+    } catch (e) {
+        throw new Error(t('import.notImage'));
+    }
+
+    try {
+        if (typeof BarcodeDetector !== 'undefined') {
+            try {
+                const formats = await BarcodeDetector.getSupportedFormats();
+                if (formats.includes('qr_code')) {
+                    const [code] = await new BarcodeDetector({ formats: ['qr_code'] }).detect(bitmap);
+                    if (code) return code.rawValue;
+                }
+            } catch (e) {
+                // Detector present but unusable on this platform
+            }
+        }
+
+        const scale = Math.min(1, MAX_IMAGE_SIDE / Math.max(bitmap.width, bitmap.height));
+        const width = Math.max(1, Math.round(bitmap.width * scale));
+        const height = Math.max(1, Math.round(bitmap.height * scale));
+        const canvas = typeof OffscreenCanvas !== 'undefined'
+            ? new OffscreenCanvas(width, height)
+            : Object.assign(document.createElement('canvas'), { width, height });
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+
+        // Transparent screenshots get a white background
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, width, height);
+        context.drawImage(bitmap, 0, 0, width, height);
+        return decodeQR(context.getImageData(0, 0, width, height));
+    } finally {
+        bitmap.close();
+    }
+}
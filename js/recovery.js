@@ -0,0 +1,101 @@
+/**
+ * Recovery Codes
+ * Keeps track of used GitHub recovery codes and exports them the way
+ * GitHub does: github-recovery-codes.txt, one code per line
+ *
+ * Used marks live in localStorage per account as SHA-256 digests,
+ * the codes themselves never reach storage
+ */
+
+/**
+ * localStorage key prefix, followed by digest of the account
+ */
+const USED_KEY_PREFIX = 'checkghp:recoveryUsed:';
+
+/**
+ * File name GitHub gives to downloaded recovery codes
+ */
+export const RECOVERY_FILE_NAME = 'github-recovery-codes.txt';
+
+/**
+ * Compute hex SHA-256 of text
+ * @param {string} text - Input
+ * @returns {Promise<string>}
+ */
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Get storage key of account
+ * @param {string} account - Email or login
+ * @returns {Promise<string>}
+ */
+async function getStorageKey(account) {
+    return USED_KEY_PREFIX + (await sha256Hex(account.trim().toLowerCase())).slice(0, 32);
+}
+
+/**
+ * Digest of a code, salted with the account so equal codes of different accounts differ
+ * @param {string} account - Email or login
+ * @param {string} code - Recovery code
+ * @returns {Promise<string>}
+ */
+function digestCode(account, code) {
+    return sha256Hex(`${account.trim().toLowerCase()}:${code.trim().toLowerCase()}`);
+}
+
+/**
+ * Load codes of account marked as used
+ * @param {string} account - Email or login
+ * @param {Array<string>} codes - Recovery codes of the account
+ * @returns {Promise<Set<string>>} - Subset of codes
+ */
+export async function loadUsedCodes(account, codes) {
+    const key = await getStorageKey(account);
+
+    let stored = [];
+    try {
+        stored = JSON.parse(localStorage.getItem(key)) || [];
+    } catch (e) {
+        // Storage disabled or damaged
+    }
+    if (!Array.isArray(stored) || stored.length === 0) {
+        return new Set();
+    }
+
+    const digests = await Promise.all(codes.map(code => digestCode(account, code)));
+    return new Set(codes.filter((code, index) => stored.includes(digests[index])));
+}
+
+/**
+ * Save codes of account marked as used
+ * Marks of codes no longer in the list are dropped
+ * @param {string} account - Email or login
+ * @param {Set<string>} usedCodes - Used codes
+ * @returns {Promise<void>}
+ */
+export async function saveUsedCodes(account, usedCodes) {
+    const key = await getStorageKey(account);
+    const digests = await Promise.all([...usedCodes].map(code => digestCode(account, code)));
+
+    try {
+        if (digests.length === 0) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, JSON.stringify(digests));
+        }
+    } catch (e) {
+        // Storage disabled
+    }
+}
+
+/**
+ * Format recovery codes as GitHub's download
+ * @param {Array<string>} codes - Recovery codes
+ * @returns {string}
+ */
+export function formatRecoveryCodes(codes) {
+    return codes.map(code => `${code}\n`).join('');
+}
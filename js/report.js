@@ -0,0 +1,313 @@
+/**
+ * Integrity Report Export
+ * Serialises analyzeLogs output to JSON, Markdown and a printable HTML page
+ * Every report carries the SHA-256 of the uploaded file, so it can be tied
+ * back to the exact source data
+ */
+
+import { escapeHtml, formatDateTime } from './utils.js';
+import { getEventTime } from './formats.js';
+import { getSeverityLabel } from './rules.js';
+import { t, getLocale } from './i18n.js';
+
+/**
+ * Report schema identifier
+ */
+export const REPORT_SCHEMA = 'checkghp-report/1';
+
+/**
+ * Convert timestamp to ISO string
+ * @param {number|Date|null} value - Timestamp
+ * @returns {string|null}
+ */
+function toISO(value) {
+    if (value === null || value === undefined) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Build report object from analysis
+ * @param {Object} analysis - Result of analyzeLogs
+ * @param {Object} source - Uploaded file { fileName, fileSize, sha256 }
+ * @returns {Object} - JSON-serialisable report
+ */
+export function buildReport(analysis, source) {
+    const { events, findings, locations } = analysis;
+    const first = events[0];
+    const last = events[events.length - 1];
+
+    const summarize = entries => entries.map(entry => ({
+        value: entry.value,
+        count: entry.count,
+        firstSeen: toISO(entry.firstSeen),
+        lastSeen: toISO(entry.lastSeen)
+    }));
+
+    return {
+        schema: REPORT_SCHEMA,
+        generatedAt: new Date().toISOString(),
+        source: {
+            fileName: source.fileName,
+            fileSize: source.fileSize,
+            formats: source.formats || [],
+            sha256: source.sha256
+        },
+        account: {
+            username: analysis.username || t('common.unknown'),
+            originalEmail: analysis.originalEmail,
+            createdAt: toISO(analysis.accountCreated)
+        },
+        range: {
+            from: first ? toISO(getEventTime(first)) : null,
+            to: last ? toISO(getEventTime(last)) : null
+        },
+        totalEvents: analysis.totalEvents,
+        allPassed: analysis.checks.allPassed,
+        checks: findings.map(finding => ({
+            ruleId: finding.ruleId,
+            name: finding.name,
+            severity: finding.severity,
+            source: finding.source,
+            passed: finding.passed,
+            count: finding.count,
+            message: finding.message,
+            events: finding.events
+        })),
+        locations: {
+            countries: summarize(locations.countries),
+            ips: summarize(locations.ips),
+            userAgents: summarize(locations.userAgents).map((entry, i) => ({
+                ...entry,
+                family: locations.userAgents[i].family
+            })),
+            alerts: locations.alerts.map(alert => ({
+                type: alert.type,
+                severity: alert.severity,
+                time: toISO(alert.time),
+                message: alert.message,
+                events: alert.events
+            }))
+        }
+    };
+}
+
+/**
+ * Serialise report as JSON
+ * @param {Object} report - Report from buildReport
+ * @returns {string}
+ */
+export function reportToJSON(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function mdCell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Summarise event as table row values
+ * @param {Object} event - Log event
+ * @returns {Array<string>} - [time, action, actor, country, user agent]
+ */
+function eventColumns(event) {
+    return [
+        formatDateTime(getEventTime(event)),
+        event.action || '',
+        event.actor || '',
+        event.actor_location?.country_code || '',
+        event.user_agent || ''
+    ];
+}
+
+/**
+ * Format export period
+ * @param {Object} range - report.range
+ * @returns {string}
+ */
+function formatRange(range) {
+    return `${range.from ? formatDateTime(range.from) : '—'} — ${range.to ? formatDateTime(range.to) : '—'}`;
+}
+
+/**
+ * Column titles of event tables
+ * @returns {Array<string>}
+ */
+function eventHeaders() {
+    return [t('report.time'), t('report.action'), t('report.actor'), t('report.country'), 'User agent'];
+}
+
+/**
+ * Column titles of the checks table
+ * @returns {Array<string>}
+ */
+function checkHeaders() {
+    return [t('report.check'), t('report.severity'), t('report.rule'), t('report.count')];
+}
+
+/**
+ * Serialise report as Markdown
+ * @param {Object} report - Report from buildReport
+ * @returns {string}
+ */
+export function reportToMarkdown(report) {
+    const lines = [];
+    const row = cells => `| ${cells.join(' | ')} |`;
+    const separator = count => row(Array(count).fill('---'));
+
+    lines.push(`# ${t('report.title', { username: report.account.username })}`);
+    lines.push('');
+    lines.push(`- **${t('report.result')}:** ${report.allPassed ? `✅ ${t('logs.unchanged')}` : `❌ ${t('logs.changed')}`}`);
+    lines.push(`- **${t('report.email')}:** ${report.account.originalEmail || t('common.noData')}`);
+    lines.push(`- **${t('report.created')}:** ${report.account.createdAt ? formatDateTime(report.account.createdAt) : t('common.noData')}`);
+    lines.push(`- **${t('report.range')}:** ${formatRange(report.range)}`);
+    lines.push(`- **${t('report.events')}:** ${report.totalEvents}`);
+    lines.push(`- **${t('report.file')}:** \`${report.source.fileName}\` (${t('report.bytes', { count: report.source.fileSize })})`);
+    lines.push(`- **SHA-256:** \`${report.source.sha256}\``);
+    lines.push(`- **${t('report.generated')}:** ${formatDateTime(report.generatedAt)}`);
+    lines.push('');
+
+    lines.push(`## ${t('report.checks')}`);
+    lines.push('');
+    lines.push(row([t('report.status'), ...checkHeaders()]));
+    lines.push(separator(5));
+    for (const check of report.checks) {
+        lines.push(row([check.passed ? '✅' : '❌', mdCell(check.name), getSeverityLabel(check.severity), `\`${mdCell(check.ruleId)}\``, check.count]));
+    }
+    lines.push('');
+
+    const failed = report.checks.filter(check => !check.passed);
+    for (const check of failed) {
+        lines.push(`### ❌ ${check.name}`);
+        lines.push('');
+        if (check.message) {
+            lines.push(check.message);
+            lines.push('');
+        }
+        lines.push(row(eventHeaders()));
+        lines.push(separator(5));
+        for (const event of check.events) {
+            lines.push(row(eventColumns(event).map(mdCell)));
+        }
+        lines.push('');
+    }
+
+    lines.push(`## ${t('locations.title')}`);
+    lines.push('');
+    if (report.locations.alerts.length === 0) {
+        lines.push(t('locations.noAlerts'));
+    } else {
+        for (const alert of report.locations.alerts) {
+            lines.push(`- **${getSeverityLabel(alert.severity)}** · ${formatDateTime(alert.time)} · ${alert.message}`);
+        }
+    }
+    lines.push('');
+    lines.push(`${t('locations.countries')}: ${report.locations.countries.map(c => `${c.value} (${c.count})`).join(', ') || '—'}`);
+    lines.push('');
+
+    return lines.join('\n');
+}
+
+/**
+ * Serialise report as a standalone print-optimised HTML page
+ * @param {Object} report - Report from buildReport
+ * @returns {string}
+ */
+export function reportToHTML(report) {
+    const title = t('report.title', { username: report.account.username });
+
+    const eventsTable = events => `
+        <table class="events">
+            <thead><tr>${eventHeaders().map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+            <tbody>
+                ${events.map(event => `<tr>${eventColumns(event).map(value => `<td>${escapeHtml(value)}</td>`).join('')}</tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+
+    const checksRows = report.checks.map(check => `
+        <tr class="${check.passed ? 'passed' : 'failed'}">
+            <td>${check.passed ? '✔' : '✘'}</td>
+            <td>${escapeHtml(check.name)}</td>
+            <td>${escapeHtml(getSeverityLabel(check.severity))}</td>
+            <td><code>${escapeHtml(check.ruleId)}</code></td>
+            <td>${check.count}</td>
+        </tr>
+    `).join('');
+
+    const failedSections = report.checks.filter(check => !check.passed).map(check => `
+        <section class="evidence">
+            <h3>✘ ${escapeHtml(check.name)}</h3>
+            ${check.message ? `<p>${escapeHtml(check.message)}</p>` : ''}
+            ${eventsTable(check.events)}
+        </section>
+    `).join('');
+
+    const alertsHtml = report.locations.alerts.length === 0
+        ? `<p>${escapeHtml(t('locations.noAlerts'))}</p>`
+        : `<ul>${report.locations.alerts.map(alert => `
+            <li><strong>${escapeHtml(getSeverityLabel(alert.severity))}</strong> · ${escapeHtml(formatDateTime(alert.time))} · ${escapeHtml(alert.message)}</li>
+        `).join('')}</ul>`;
+
+    return `<!DOCTYPE html>
+<html lang="${getLocale()}">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font: 13px/1.5 -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; color: #1f2328; max-width: 960px; margin: 24px auto; padding: 0 16px; }
+    h1 { font-size: 22px; margin-bottom: 4px; }
+    h2 { font-size: 17px; margin-top: 28px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; }
+    h3 { font-size: 14px; margin: 18px 0 6px; }
+    .status { display: inline-block; padding: 4px 12px; border-radius: 6px; font-weight: 600; }
+    .status.ok { background: #dafbe1; color: #1a7f37; }
+    .status.fail { background: #ffebe9; color: #cf222e; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; }
+    dt { color: #656d76; }
+    dd { margin: 0; word-break: break-all; }
+    code, .mono { font-family: 'SF Mono', Consolas, monospace; font-size: 12px; }
+    table { width: 100%; border-collapse: collapse; margin: 8px 0; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #d0d7de; vertical-align: top; }
+    th { background: #f6f8fa; }
+    tr.failed td { color: #cf222e; }
+    table.events td { font-size: 11px; word-break: break-word; }
+    @media print {
+        body { margin: 0; max-width: none; }
+        section.evidence, tr { break-inside: avoid; }
+        h2 { break-after: avoid; }
+    }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="status ${report.allPassed ? 'ok' : 'fail'}">${escapeHtml(t(report.allPassed ? 'logs.unchanged' : 'logs.changed'))}</p>
+
+<dl>
+    <dt>${escapeHtml(t('report.email'))}</dt><dd>${escapeHtml(report.account.originalEmail || t('common.noData'))}</dd>
+    <dt>${escapeHtml(t('report.created'))}</dt><dd>${escapeHtml(report.account.createdAt ? formatDateTime(report.account.createdAt) : t('common.noData'))}</dd>
+    <dt>${escapeHtml(t('report.range'))}</dt><dd>${escapeHtml(formatRange(report.range))}</dd>
+    <dt>${escapeHtml(t('report.events'))}</dt><dd>${report.totalEvents}</dd>
+    <dt>${escapeHtml(t('report.file'))}</dt><dd><code>${escapeHtml(report.source.fileName)}</code> (${escapeHtml(t('report.bytes', { count: report.source.fileSize }))})</dd>
+    <dt>SHA-256</dt><dd class="mono">${escapeHtml(report.source.sha256)}</dd>
+    <dt>${escapeHtml(t('report.generated'))}</dt><dd>${escapeHtml(formatDateTime(report.generatedAt))}</dd>
+</dl>
+
+<h2>${escapeHtml(t('report.checks'))}</h2>
+<table>
+    <thead><tr><th></th>${checkHeaders().map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+    <tbody>${checksRows}</tbody>
+</table>
+${failedSections}
+
+<h2>${escapeHtml(t('locations.title'))}</h2>
+${alertsHtml}
+<p>${escapeHtml(t('locations.countries'))}: ${escapeHtml(report.locations.countries.map(c => `${c.value} (${c.count})`).join(', ') || '—')}</p>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,345 @@
+/**
+ * Log Check Rule Engine
+ * Every integrity check is a declarative rule evaluated against log events
+ *
+ * Rule format:
+ *   {
+ *     "id": "ssh-keys-unchanged",          // unique, user rules with a built-in id override it
+ *     "name": "No SSH keys added",         // shown in the results panel
+ *     "severity": "high",                  // high | medium | low
+ *     "action": ["public_key.create"],     // action pattern(s), "*" is a wildcard
+ *     "conditions": [                      // optional, all must hold
+ *       { "field": "actor_location.country_code", "op": "nin", "value": ["RU"] }
+ *     ],
+ *     "threshold": 0,                      // matching events tolerated before the rule fails
+ *     "message": "Keys added: {count}",    // optional, {count} is replaced
+ *     "enabled": true                      // optional, false disables the rule
+ *   }
+ *
+ * Built-in rules have no name of their own, it comes from the message
+ * catalogue ("rule.<id>") so that it follows the chosen language
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * localStorage key for user rule set
+ */
+const STORAGE_KEY = 'checkghp:rules';
+
+/**
+ * Allowed severities
+ */
+export const SEVERITIES = ['high', 'medium', 'low'];
+
+/**
+ * Get severity label shown to the user
+ * @param {string} severity - high, medium or low
+ * @returns {string}
+ */
+export function getSeverityLabel(severity) {
+    return t(`severity.${severity}`);
+}
+
+/**
+ * Condition operators
+ */
+const OPERATORS = {
+    eq: (actual, expected) => actual === expected,
+    neq: (actual, expected) => actual !== expected,
+    in: (actual, expected) => expected.includes(actual),
+    nin: (actual, expected) => !expected.includes(actual),
+    contains: (actual, expected) => typeof actual === 'string' && actual.includes(expected),
+    matches: (actual, expected) => typeof actual === 'string' && new RegExp(expected).test(actual),
+    exists: (actual, expected) => (actual !== undefined && actual !== null) === expected
+};
+
+/**
+ * Built-in rules
+ * Cover the ways an account can be taken over without the seller's password and 2FA
+ */
+export const BUILTIN_RULES = [
+    {
+        id: 'email-unchanged',
+        severity: 'high',
+        action: ['user.email_create', 'user.email_delete', 'user.primary_email_changed'],
+        // Первое событие — первоначальное добавление почты
+        threshold: 1
+    },
+    {
+        id: 'password-unchanged',
+        severity: 'high',
+        action: ['user.password_reset', 'user.password_changed']
+    },
+    {
+        id: 'two-factor-not-disabled',
+        severity: 'high',
+        action: 'two_factor_authentication.disabled'
+    },
+    {
+        id: 'two-factor-not-reenabled',
+        severity: 'high',
+        action: 'two_factor_authentication.enabled',
+        // Первое включение — не изменение
+        threshold: 1
+    },
+    {
+        id: 'recovery-codes-unchanged',
+        severity: 'high',
+        action: 'two_factor_authentication.recovery_codes_regenerated'
+    },
+    {
+        id: 'security-keys-unchanged',
+        severity: 'high',
+        action: ['passkey.register', 'two_factor_authentication.add_factor']
+    },
+    {
+        id: 'ssh-keys-unchanged',
+        severity: 'high',
+        action: 'public_key.create'
+    },
+    {
+        id: 'tokens-unchanged',
+        severity: 'high',
+        action: 'personal_access_token.*'
+    },
+    {
+        id: 'oauth-apps-unchanged',
+        severity: 'medium',
+        action: 'oauth_authorization.create'
+    },
+    {
+        id: 'gpg-keys-unchanged',
+        severity: 'medium',
+        action: 'gpg_key.create'
+    },
+    {
+        id: 'username-unchanged',
+        severity: 'medium',
+        action: 'user.rename'
+    }
+];
+
+/**
+ * Get built-in rules with names in the current language
+ * @returns {Array}
+ */
+export function getBuiltinRules() {
+    return BUILTIN_RULES.map(rule => ({ ...rule, name: t(`rule.${rule.id}`) }));
+}
+
+/**
+ * Read nested field by dotted path ("actor_location.country_code")
+ * @param {Object} event - Log event
+ * @param {string} path - Field path
+ * @returns {*}
+ */
+export function getField(event, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), event);
+}
+
+/**
+ * Convert action pattern with "*" wildcards to RegExp
+ * @param {string} pattern - Action pattern
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+/**
+ * Validate a single rule
+ * @param {Object} rule - Rule
+ * @param {number} index - Position in rule set (for messages)
+ * @throws {Error} - With user-facing message
+ */
+function validateRule(rule, index) {
+    const where = t('rulesError.rule', { index: index + 1 });
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new Error(t('rulesError.notObject', { where }));
+    }
+    if (typeof rule.id !== 'string' || !rule.id) {
+        throw new Error(t('rulesError.noId', { where }));
+    }
+
+    const name = t('rulesError.named', { where, id: rule.id });
+
+    if (rule.enabled === false) {
+        // Disabled override of a built-in rule only needs an id
+        return;
+    }
+    if (typeof rule.name !== 'string' || !rule.name) {
+        throw new Error(t('rulesError.noName', { where: name }));
+    }
+    if (!SEVERITIES.includes(rule.severity)) {
+        throw new Error(t('rulesError.severity', { where: name, allowed: SEVERITIES.join(', ') }));
+    }
+
+    const actions = [].concat(rule.action);
+    if (actions.length === 0 || actions.some(action => typeof action !== 'string' || !action)) {
+        throw new Error(t('rulesError.action', { where: name }));
+    }
+
+    if (rule.threshold !== undefined && !(Number.isInteger(rule.threshold) && rule.threshold >= 0)) {
+        throw new Error(t('rulesError.threshold', { where: name }));
+    }
+    if (rule.message !== undefined && typeof rule.message !== 'string') {
+        throw new Error(t('rulesError.message', { where: name }));
+    }
+
+    if (rule.conditions !== undefined) {
+        if (!Array.isArray(rule.conditions)) {
+            throw new Error(t('rulesError.conditions', { where: name }));
+        }
+        rule.conditions.forEach((condition, i) => {
+            const at = t('rulesError.condition', { where: name, index: i + 1 });
+            if (!condition || typeof condition.field !== 'string' || !condition.field) {
+                throw new Error(t('rulesError.field', { where: at }));
+            }
+            if (!OPERATORS[condition.op]) {
+                throw new Error(t('rulesError.operator', { where: at, op: condition.op }));
+            }
+            if ((condition.op === 'in' || condition.op === 'nin') && !Array.isArray(condition.value)) {
+                throw new Error(t('rulesError.valueArray', { where: at, op: condition.op }));
+            }
+            if (condition.op === 'exists' && typeof condition.value !== 'boolean') {
+                throw new Error(t('rulesError.valueBoolean', { where: at }));
+            }
+            if (condition.op === 'matches') {
+                try {
+                    new RegExp(condition.value);
+                } catch (e) {
+                    throw new Error(t('rulesError.regexp', { where: at }));
+                }
+            }
+        });
+    }
+}
+
+/**
+ * Validate a rule set
+ * @param {*} rules - Parsed JSON
+ * @returns {Array} - The same rules
+ * @throws {Error} - With user-facing message
+ */
+export function validateRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new Error(t('rulesError.notArray'));
+    }
+
+    const ids = new Set();
+    rules.forEach((rule, index) => {
+        validateRule(rule, index);
+        if (ids.has(rule.id)) {
+            throw new Error(t('rulesError.duplicate', { where: t('rulesError.rule', { index: index + 1 }), id: rule.id }));
+        }
+        ids.add(rule.id);
+    });
+
+    return rules;
+}
+
+/**
+ * Parse and validate rule set from JSON text
+ * @param {string} text - JSON
+ * @returns {Array}
+ * @throws {Error} - With user-facing message
+ */
+export function parseRules(text) {
+    let rules;
+    try {
+        rules = JSON.parse(text);
+    } catch (e) {
+        throw new Error(t('rulesError.json', { error: e.message }));
+    }
+    return validateRules(rules);
+}
+
+/**
+ * Load user rule set from localStorage
+ * @returns {Array} - Rules, empty if none saved or storage is unavailable
+ */
+export function loadUserRules() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? parseRules(saved) : [];
+    } catch (e) {
+        console.warn('Failed to load user rules:', e);
+        return [];
+    }
+}
+
+/**
+ * Save user rule set to localStorage
+ * @param {Array} rules - Validated rules
+ * @throws {Error} - With user-facing message if storage is full or disabled
+ */
+export function saveUserRules(rules) {
+    try {
+        if (rules.length === 0) {
+            localStorage.removeItem(STORAGE_KEY);
+        } else {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+        }
+    } catch (e) {
+        console.warn('Failed to save user rules:', e);
+        throw new Error(t('rulesError.storage'));
+    }
+}
+
+/**
+ * Merge built-in and user rules (user rules override built-ins with the same id)
+ * @param {Array} userRules - User rules
+ * @returns {Array} - Effective rules with `source` set, disabled rules removed
+ */
+export function mergeRules(userRules) {
+    const merged = new Map(getBuiltinRules().map(rule => [rule.id, { ...rule, source: 'builtin' }]));
+    for (const rule of userRules) {
+        merged.set(rule.id, { ...rule, source: 'user' });
+    }
+    return [...merged.values()].filter(rule => rule.enabled !== false);
+}
+
+/**
+ * Evaluate a rule against sorted events
+ * @param {Object} rule - Rule
+ * @param {Array} events - Events sorted by time
+ * @returns {Object} - Finding
+ */
+export function evaluateRule(rule, events) {
+    const patterns = [].concat(rule.action).map(patternToRegExp);
+    const conditions = rule.conditions || [];
+    const threshold = rule.threshold || 0;
+
+    const matches = events.filter(event =>
+        patterns.some(pattern => pattern.test(String(event.action))) &&
+        conditions.every(({ field, op, value }) => OPERATORS[op](getField(event, field), value))
+    );
+
+    // Events beyond the tolerated threshold are the offending ones
+    const offending = matches.slice(threshold);
+    const passed = offending.length === 0;
+
+    return {
+        ruleId: rule.id,
+        name: rule.name,
+        severity: rule.severity,
+        source: rule.source || 'builtin',
+        passed,
+        count: offending.length,
+        events: offending,
+        message: !passed && rule.message ? rule.message.replace(/\{count\}/g, String(offending.length)) : ''
+    };
+}
+
+/**
+ * Run all rules
+ * @param {Array} rules - Effective rules
+ * @param {Array} events - Events sorted by time
+ * @returns {Array} - Findings in rule order
+ */
+export function runRules(rules, events) {
+    return rules.map(rule => evaluateRule(rule, events));
+}
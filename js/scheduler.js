@@ -0,0 +1,48 @@
+/**
+ * TOTP Scheduler
+ * Wakes up once per time window instead of every frame and sleeps while
+ * the page is hidden, so a background tab costs nothing
+ */
+
+/**
+ * Start scheduler for a TOTP period
+ * onWindow runs right away, at every window boundary and when the page
+ * becomes visible again
+ * @param {Object} options
+ * @param {number} options.period - Time step in seconds
+ * @param {Function} options.onWindow - Called with { counter, elapsed }, elapsed in ms since the window started
+ * @param {Function} [options.now] - Time source in ms, Date.now by default
+ * @returns {Object} - { refresh, stop }; refresh re-syncs after the time source changed
+ */
+export function startTOTPScheduler({ period, onWindow, now = Date.now }) {
+    const periodMs = period * 1000;
+    let timer = null;
+    let stopped = false;
+
+    function tick() {
+        clearTimeout(timer);
+        timer = null;
+        if (stopped || document.visibilityState === 'hidden') return;
+
+        const time = now();
+        const counter = Math.floor(time / periodMs);
+        const elapsed = time - counter * periodMs;
+        onWindow({ counter, elapsed });
+
+        // Следующий запуск ровно на границе окна
+        timer = setTimeout(tick, periodMs - elapsed);
+    }
+
+    // Hidden: tick only drops the timer; visible again: the code is refreshed at once
+    document.addEventListener('visibilitychange', tick);
+    tick();
+
+    return {
+        refresh: tick,
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+            document.removeEventListener('visibilitychange', tick);
+        }
+    };
+}
@@ -0,0 +1,203 @@
+/**
+ * Fragment Scrubbing
+ * Optionally takes credentials out of the address bar after load, keeping
+ * them in page memory or in sessionStorage of the tab, and wipes them
+ * after a chosen number of minutes. Sealed links reach sessionStorage
+ * only sealed
+ *
+ * history.replaceState rewrites only the current history entry: links
+ * opened earlier in the same tab stay in its history
+ */
+
+import { createSHA256 } from './sha256.js';
+
+/**
+ * localStorage key of the scrub mode
+ */
+const SCRUB_MODE_KEY = 'checkghp:scrubMode';
+
+/**
+ * Scrub modes: keep the fragment, move credentials to memory or to sessionStorage
+ */
+export const SCRUB_MODES = ['off', 'memory', 'session'];
+
+const DEFAULT_SCRUB_MODE = 'off';
+
+/**
+ * localStorage key of the burn timer
+ */
+const BURN_KEY = 'checkghp:burnAfter';
+
+/**
+ * Burn timers offered in settings (minutes), 0 keeps credentials
+ */
+export const BURN_OPTIONS = [0, 1, 5, 15, 30, 60];
+
+const DEFAULT_BURN = 0;
+
+/**
+ * sessionStorage key of scrubbed credentials
+ */
+const SESSION_KEY = 'checkghp:credentials';
+
+/**
+ * sessionStorage key prefix of burn deadlines, followed by digest of the link fragment
+ */
+const DEADLINE_KEY_PREFIX = 'checkghp:burnAt:';
+
+/**
+ * Get scrub mode
+ * @returns {string} - One of SCRUB_MODES
+ */
+export function getScrubMode() {
+    try {
+        const saved = localStorage.getItem(SCRUB_MODE_KEY);
+        if (SCRUB_MODES.includes(saved)) {
+            return saved;
+        }
+    } catch (e) {
+        // Storage disabled
+    }
+    return DEFAULT_SCRUB_MODE;
+}
+
+/**
+ * Save scrub mode
+ * @param {string} mode - One of SCRUB_MODES
+ */
+export function setScrubMode(mode) {
+    try {
+        localStorage.setItem(SCRUB_MODE_KEY, mode);
+    } catch (e) {
+        // Storage disabled, the choice lasts until reload
+    }
+}
+
+/**
+ * Get burn timer
+ * @returns {number} - Minutes, 0 if disabled
+ */
+export function getBurnMinutes() {
+    try {
+        const saved = localStorage.getItem(BURN_KEY);
+        if (saved !== null && BURN_OPTIONS.includes(Number(saved))) {
+            return Number(saved);
+        }
+    } catch (e) {
+        // Storage disabled
+    }
+    return DEFAULT_BURN;
+}
+
+/**
+ * Save burn timer
+ * @param {number} minutes - One of BURN_OPTIONS, 0 disables
+ */
+export function setBurnMinutes(minutes) {
+    try {
+        localStorage.setItem(BURN_KEY, String(minutes));
+    } catch (e) {
+        // Storage disabled, the choice lasts until reload
+    }
+}
+
+/**
+ * Remove fragment from the address bar and the current history entry
+ */
+export function scrubFragment() {
+    if (!window.location.hash) return;
+    history.replaceState(history.state, '', window.location.pathname + window.location.search);
+}
+
+/**
+ * Keep credentials in sessionStorage until the tab is closed
+ * Credentials of a sealed link are kept as the sealed fragment, so the
+ * passphrase is asked again after a reload
+ * @param {Object} entry
+ * @param {string} [entry.credentials] - Credentials from serializeCredentials
+ * @param {string} [entry.sealed] - Sealed fragment (enc1.…)
+ * @param {number|null} [entry.burnAt] - Wipe deadline (ms), survives reloads
+ */
+export function saveSessionCredentials({ credentials = null, sealed = null, burnAt = null }) {
+    try {
+        sessionStorage.setItem(SESSION_KEY, JSON.stringify({ credentials, sealed, burnAt }));
+    } catch (e) {
+        // Storage disabled, credentials last until reload
+    }
+}
+
+/**
+ * Load credentials kept in sessionStorage
+ * @returns {{credentials: string|null, sealed: string|null, burnAt: number|null}|null}
+ */
+export function loadSessionCredentials() {
+    try {
+        const saved = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+        const credentials = typeof saved?.credentials === 'string' ? saved.credentials : null;
+        const sealed = typeof saved?.sealed === 'string' ? saved.sealed : null;
+        if (credentials || sealed) {
+            return { credentials, sealed, burnAt: Number.isFinite(saved.burnAt) ? saved.burnAt : null };
+        }
+    } catch (e) {
+        // Storage disabled or damaged
+    }
+    return null;
+}
+
+/**
+ * Drop credentials kept in sessionStorage
+ */
+export function clearSessionCredentials() {
+    try {
+        sessionStorage.removeItem(SESSION_KEY);
+    } catch (e) {
+        // Storage disabled
+    }
+}
+
+/**
+ * Get sessionStorage key of a link's burn deadline
+ * @param {string} fragment - Fragment without leading #
+ * @returns {string}
+ */
+function getDeadlineKey(fragment) {
+    const hasher = createSHA256();
+    hasher.update(new TextEncoder().encode(`burn:${fragment}`));
+    return DEADLINE_KEY_PREFIX + hasher.digestHex().slice(0, 32);
+}
+
+/**
+ * Load burn deadline of a link opened earlier in this tab
+ * Reloading a link left in the address bar must not postpone its deadline
+ * @param {string} fragment - Fragment without leading #
+ * @returns {number|null} - Deadline (ms), null if none was set
+ */
+export function loadBurnDeadline(fragment) {
+    try {
+        const saved = Number(sessionStorage.getItem(getDeadlineKey(fragment)) ?? NaN);
+        if (Number.isFinite(saved)) {
+            return saved;
+        }
+    } catch (e) {
+        // Storage disabled
+    }
+    return null;
+}
+
+/**
+ * Save burn deadline of a link
+ * Kept after the burn, so the link stays burned in this tab
+ * @param {string} fragment - Fragment without leading #
+ * @param {number|null} burnAt - Deadline (ms), null removes it
+ */
+export function saveBurnDeadline(fragment, burnAt) {
+    try {
+        if (burnAt !== null) {
+            sessionStorage.setItem(getDeadlineKey(fragment), String(burnAt));
+        } else {
+            sessionStorage.removeItem(getDeadlineKey(fragment));
+        }
+    } catch (e) {
+        // Storage disabled, the deadline lasts until reload
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * Sealed (passphrase-encrypted) credential fragments
+ * AES-GCM with a PBKDF2-SHA256 derived key, Web Crypto only
+ *
+ * Fragment format: enc1.<salt>.<iv>.<ciphertext> (all base64url)
+ *
+ * The credentials panel seals the data it shows ("Passphrase-protected link");
+ * to create a link from the browser console:
+ *   const { createSealedLink } = await import('./js/seal.js');
+ *   const { serializeCredentials } = await import('./js/credentials.js');
+ *   await createSealedLink(serializeCredentials({ email, password, twofa, token }), 'passphrase');
+ */
+
+import { base64UrlEncode, base64UrlDecode } from './utils.js';
+
+/**
+ * Fragment version prefix
+ */
+const SEAL_PREFIX = 'enc1.';
+
+/**
+ * Key derivation parameters for version 1
+ */
+const PBKDF2_ITERATIONS = 600000;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+/**
+ * Derive AES-GCM key from passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random salt
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt) {
+    const baseKey = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Check whether URL fragment is a sealed credential fragment
+ * @param {string} fragment - Fragment without leading #
+ * @returns {boolean}
+ */
+export function isSealedFragment(fragment) {
+    return typeof fragment === 'string' && fragment.startsWith(SEAL_PREFIX);
+}
+
+/**
+ * Encrypt credential string into a sealed fragment
+ * @param {string} plaintext - Credential string (same content a plain link would carry)
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<string>} - Fragment without leading #
+ */
+export async function sealFragment(plaintext, passphrase) {
+    if (!passphrase) {
+        throw new Error('Passphrase is required');
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const key = await deriveKey(passphrase, salt);
+
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(plaintext)
+    );
+
+    return SEAL_PREFIX + [salt, iv, new Uint8Array(ciphertext)].map(base64UrlEncode).join('.');
+}
+
+/**
+ * Decrypt sealed fragment
+ * @param {string} fragment - Fragment without leading #
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<string>} - Decrypted credential string
+ */
+export async function unsealFragment(fragment, passphrase) {
+    if (!isSealedFragment(fragment)) {
+        throw new Error('Not a sealed fragment');
+    }
+
+    const parts = fragment.slice(SEAL_PREFIX.length).split('.');
+    if (parts.length !== 3) {
+        throw new Error('Malformed sealed fragment');
+    }
+
+    const [salt, iv, ciphertext] = parts.map(base64UrlDecode);
+    if (salt.length !== SALT_LENGTH || iv.length !== IV_LENGTH) {
+        throw new Error('Malformed sealed fragment');
+    }
+
+    const key = await deriveKey(passphrase, salt);
+
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+    } catch (e) {
+        // AES-GCM authentication failure: wrong passphrase or tampered link
+        throw new Error('Wrong passphrase');
+    }
+
+    return new TextDecoder().decode(plaintext);
+}
+
+/**
+ * Build a full sealed link
+ * @param {string} plaintext - Credential string
+ * @param {string} passphrase - Passphrase
+ * @param {string} [baseUrl] - Page URL, defaults to current page without fragment
+ * @returns {Promise<string>}
+ */
+export async function createSealedLink(plaintext, passphrase, baseUrl) {
+    const base = baseUrl || (typeof location !== 'undefined' ? location.href.split('#')[0] : '');
+    return `${base}#${await sealFragment(plaintext, passphrase)}`;
+}
@@ -0,0 +1,307 @@
+/**
+ * Security Log Timeline
+ * Virtualised list of every event with faceted filtering
+ */
+
+import { Icons } from './icons.js';
+import { escapeHtml, formatDateTime } from './utils.js';
+import { getEventTime } from './formats.js';
+import { t, getTimeZone } from './i18n.js';
+
+/**
+ * Fixed row height (px), must match .timeline-row in styles.css
+ */
+const ROW_HEIGHT = 56;
+
+/**
+ * Extra rows rendered above and below the viewport
+ */
+const OVERSCAN = 8;
+
+/**
+ * Get action namespace (e.g. "user" for "user.login")
+ * @param {Object} event - Log event
+ * @returns {string}
+ */
+function getNamespace(event) {
+    return String(event.action || 'unknown').split('.')[0];
+}
+
+/**
+ * Get event country code
+ * @param {Object} event - Log event
+ * @returns {string}
+ */
+function getCountry(event) {
+    return event.actor_location?.country_code || '';
+}
+
+/**
+ * Count events per key, most frequent first
+ * @param {Array} events - Log events
+ * @param {Function} getKey - Key extractor
+ * @returns {Array<[string, number]>}
+ */
+function countBy(events, getKey) {
+    const counts = new Map();
+    for (const event of events) {
+        const key = getKey(event);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+/**
+ * Get offset of a time zone from UTC at a moment
+ * @param {number} time - Timestamp (ms)
+ * @param {string|undefined} timeZone - IANA zone, undefined for the system zone
+ * @returns {number} - Offset (ms), positive east of Greenwich
+ */
+function getZoneOffset(time, timeZone) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    });
+    for (const { type, value } of formatter.formatToParts(time)) {
+        parts[type] = Number(value);
+    }
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Get start of a day in the chosen time zone, the one every time is shown in
+ * @param {number} year - Year
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of month, may overflow into the next month
+ * @returns {number} - Timestamp (ms)
+ */
+function getZonedDayStart(year, month, day) {
+    const timeZone = getTimeZone();
+    const midnight = Date.UTC(year, month - 1, day);
+    // Второй проход — если на эту полночь приходится переход на летнее время
+    const guess = midnight - getZoneOffset(midnight, timeZone);
+    return midnight - getZoneOffset(guess, timeZone);
+}
+
+/**
+ * Parse value of <input type="date"> as day boundary in the chosen time zone
+ * @param {string} value - YYYY-MM-DD
+ * @param {boolean} endOfDay - Use the last millisecond of the day instead of 00:00
+ * @returns {number|null}
+ */
+function parseDateInput(value, endOfDay) {
+    if (!value) return null;
+    const [year, month, day] = value.split('-').map(Number);
+    return endOfDay
+        ? getZonedDayStart(year, month, day + 1) - 1
+        : getZonedDayStart(year, month, day);
+}
+
+/**
+ * Render a single timeline row
+ * @param {Object} event - Log event
+ * @returns {string} - HTML string
+ */
+function renderRow(event) {
+    const country = getCountry(event);
+    const meta = [event.actor, country, event.user_agent].filter(Boolean).map(escapeHtml).join(' · ');
+
+    return `
+        <div class="timeline-row">
+            <div class="timeline-time">${escapeHtml(formatDateTime(getEventTime(event)))}</div>
+            <div class="timeline-main">
+                <div class="timeline-action">${escapeHtml(event.action || 'unknown')}</div>
+                <div class="timeline-meta" title="${meta}">${meta || '—'}</div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render timeline into container
+ * @param {HTMLElement} container - Container element
+ * @param {Array} events - Log events
+ * @returns {{focus: Function}} - Controller; focus(events, label) shows only the given events
+ */
+export function renderTimeline(container, events) {
+    // Newest first
+    const sorted = [...events].sort((a, b) => getEventTime(b) - getEventTime(a));
+
+    const namespaces = countBy(sorted, getNamespace);
+    const countries = countBy(sorted, getCountry);
+
+    container.innerHTML = `
+        <div class="timeline">
+            <div class="timeline-header">
+                <h3>${escapeHtml(t('timeline.title'))}</h3>
+                <span class="timeline-count"></span>
+            </div>
+
+            <div class="timeline-focus" hidden>
+                <span class="timeline-focus-text"></span>
+                <button type="button" class="timeline-reset-btn">${escapeHtml(t('timeline.showAll'))}</button>
+            </div>
+
+            <div class="timeline-filters">
+                <div class="timeline-facets">
+                    ${namespaces.map(([ns, count]) => `
+                        <button type="button" class="timeline-facet" data-namespace="${escapeHtml(ns)}">
+                            ${escapeHtml(ns)}.* <span>${count}</span>
+                        </button>
+                    `).join('')}
+                </div>
+                <div class="timeline-filter-row">
+                    <input type="date" class="timeline-date" data-range="from" aria-label="${escapeHtml(t('timeline.from'))}">
+                    <span class="timeline-date-sep">—</span>
+                    <input type="date" class="timeline-date" data-range="to" aria-label="${escapeHtml(t('timeline.to'))}">
+                    <select class="timeline-country" aria-label="${escapeHtml(t('timeline.country'))}">
+                        <option value="">${escapeHtml(t('timeline.allCountries'))}</option>
+                        ${countries.map(([code, count]) => `
+                            <option value="${escapeHtml(code)}">${escapeHtml(code || t('common.unknown'))} (${count})</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+
+            <div class="timeline-viewport">
+                <div class="timeline-spacer">
+                    <div class="timeline-rows"></div>
+                </div>
+                <div class="timeline-empty" hidden>${Icons.close} ${escapeHtml(t('timeline.empty'))}</div>
+            </div>
+        </div>
+    `;
+
+    const root = container.querySelector('.timeline');
+    const countEl = root.querySelector('.timeline-count');
+    const focusEl = root.querySelector('.timeline-focus');
+    const focusTextEl = root.querySelector('.timeline-focus-text');
+    const viewport = root.querySelector('.timeline-viewport');
+    const spacer = root.querySelector('.timeline-spacer');
+    const rowsEl = root.querySelector('.timeline-rows');
+    const emptyEl = root.querySelector('.timeline-empty');
+    const fromInput = root.querySelector('[data-range="from"]');
+    const toInput = root.querySelector('[data-range="to"]');
+    const countrySelect = root.querySelector('.timeline-country');
+
+    const filters = {
+        namespaces: new Set(),
+        country: null,
+        from: null,
+        to: null,
+        focus: null
+    };
+
+    let filtered = sorted;
+    let renderedRange = null;
+
+    function renderVisibleRows(force = false) {
+        const first = Math.max(0, Math.floor(viewport.scrollTop / ROW_HEIGHT) - OVERSCAN);
+        const visibleCount = Math.ceil(viewport.clientHeight / ROW_HEIGHT) + OVERSCAN * 2;
+        const last = Math.min(filtered.length, first + visibleCount);
+
+        if (!force && renderedRange && renderedRange[0] === first && renderedRange[1] === last) {
+            return;
+        }
+        renderedRange = [first, last];
+
+        rowsEl.style.transform = `translateY(${first * ROW_HEIGHT}px)`;
+        rowsEl.innerHTML = filtered.slice(first, last).map(renderRow).join('');
+    }
+
+    function applyFilters() {
+        filtered = sorted.filter(event => {
+            if (filters.focus && !filters.focus.has(event)) return false;
+            if (filters.namespaces.size > 0 && !filters.namespaces.has(getNamespace(event))) return false;
+            if (filters.country !== null && getCountry(event) !== filters.country) return false;
+            const time = getEventTime(event);
+            if (filters.from !== null && time < filters.from) return false;
+            if (filters.to !== null && time > filters.to) return false;
+            return true;
+        });
+
+        countEl.textContent = filtered.length === sorted.length
+            ? `${sorted.length}`
+            : t('timeline.filtered', { shown: filtered.length, total: sorted.length });
+        spacer.style.height = `${filtered.length * ROW_HEIGHT}px`;
+        emptyEl.hidden = filtered.length > 0;
+        viewport.scrollTop = 0;
+        renderVisibleRows(true);
+    }
+
+    function resetFilters() {
+        filters.namespaces.clear();
+        filters.country = null;
+        filters.from = null;
+        filters.to = null;
+        filters.focus = null;
+
+        root.querySelectorAll('.timeline-facet.active').forEach(el => el.classList.remove('active'));
+        fromInput.value = '';
+        toInput.value = '';
+        countrySelect.value = '';
+        focusEl.hidden = true;
+    }
+
+    root.querySelector('.timeline-facets').addEventListener('click', (e) => {
+        const facet = e.target.closest('.timeline-facet');
+        if (!facet) return;
+
+        const ns = facet.dataset.namespace;
+        if (filters.namespaces.has(ns)) {
+            filters.namespaces.delete(ns);
+        } else {
+            filters.namespaces.add(ns);
+        }
+        facet.classList.toggle('active', filters.namespaces.has(ns));
+        applyFilters();
+    });
+
+    fromInput.addEventListener('change', () => {
+        filters.from = parseDateInput(fromInput.value, false);
+        applyFilters();
+    });
+
+    toInput.addEventListener('change', () => {
+        filters.to = parseDateInput(toInput.value, true);
+        applyFilters();
+    });
+
+    countrySelect.addEventListener('change', () => {
+        filters.country = countrySelect.selectedIndex === 0 ? null : countrySelect.value;
+        applyFilters();
+    });
+
+    root.querySelector('.timeline-reset-btn').addEventListener('click', () => {
+        resetFilters();
+        applyFilters();
+    });
+
+    viewport.addEventListener('scroll', () => renderVisibleRows(), { passive: true });
+
+    applyFilters();
+
+    return {
+        /**
+         * Show only the given events (e.g. those behind a failed check)
+         * @param {Array} focusEvents - Events to show
+         * @param {string} label - Description shown above the list
+         */
+        focus(focusEvents, label) {
+            resetFilters();
+            filters.focus = new Set(focusEvents);
+            focusTextEl.textContent = label;
+            focusEl.hidden = false;
+            applyFilters();
+            root.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    };
+}
@@ -0,0 +1,134 @@
+/**
+ * GitHub Token Inspection
+ * Recognises token type by prefix and validates length, alphabet and
+ * the CRC32 checksum of prefixed tokens, fully offline
+ *
+ * Prefixed tokens: <prefix><30 random base62 chars><6 chars base62 CRC32 of the random part>
+ * Fine-grained tokens: github_pat_<22 chars>_<59 chars>
+ * Tokens issued before 2021: 40 hex chars without prefix
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * Alphabet of base62 checksums
+ */
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Length of the checksum suffix
+ */
+const CHECKSUM_LENGTH = 6;
+
+/**
+ * Known token formats, fine-grained first since "github_pat_" is the longest prefix
+ * length - characters after the prefix; checksum - body ends in base62 CRC32
+ */
+const TOKEN_FORMATS = [
+    { prefix: 'github_pat_', type: 'fineGrained', length: 82, pattern: /^[A-Za-z0-9]{22}_[A-Za-z0-9]{59}$/, checksum: false },
+    { prefix: 'ghp_', type: 'classic', length: 36, pattern: /^[A-Za-z0-9]+$/, checksum: true },
+    { prefix: 'gho_', type: 'oauth', length: 36, pattern: /^[A-Za-z0-9]+$/, checksum: true },
+    { prefix: 'ghu_', type: 'userToServer', length: 36, pattern: /^[A-Za-z0-9]+$/, checksum: true },
+    { prefix: 'ghs_', type: 'serverToServer', length: 36, pattern: /^[A-Za-z0-9]+$/, checksum: true },
+    { prefix: 'ghr_', type: 'refresh', length: 76, pattern: /^[A-Za-z0-9]+$/, checksum: false }
+];
+
+// CRC32 lookup table (IEEE 802.3), built on first use
+let crcTable = null;
+
+/**
+ * Compute CRC32 of ASCII string
+ * @param {string} text - Input
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+function crc32(text) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < text.length; i++) {
+        crc = crcTable[(crc ^ text.charCodeAt(i)) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Encode number in base62, left-padded with zeros
+ * @param {number} value - Unsigned integer
+ * @param {number} width - Minimum length
+ * @returns {string}
+ */
+function encodeBase62(value, width) {
+    let result = '';
+    do {
+        result = BASE62[value % 62] + result;
+        value = Math.floor(value / 62);
+    } while (value > 0);
+    return result.padStart(width, '0');
+}
+
+/**
+ * Check CRC32 suffix of a prefixed token body
+ * @param {string} body - Token without prefix
+ * @returns {boolean}
+ */
+function verifyTokenChecksum(body) {
+    const random = body.slice(0, -CHECKSUM_LENGTH);
+    return encodeBase62(crc32(random), CHECKSUM_LENGTH) === body.slice(-CHECKSUM_LENGTH);
+}
+
+/**
+ * Inspect GitHub token
+ * @param {string} token - Token as found in credentials
+ * @returns {Object} - { type, valid, checksum, problems }; checksum is
+ *   true/false when verified, null when the format has none or it could not be checked
+ */
+export function inspectToken(token) {
+    const problems = [];
+    const value = token.trim();
+
+    if (value !== token || /\s/.test(value)) {
+        problems.push(t('tokens.whitespace'));
+    }
+    const compact = value.replace(/\s+/g, '');
+
+    const format = TOKEN_FORMATS.find(candidate => compact.startsWith(candidate.prefix));
+
+    if (!format) {
+        if (/^[0-9a-f]{40}$/.test(compact)) {
+            return { type: 'legacy', valid: problems.length === 0, checksum: null, problems };
+        }
+        problems.push(t('tokens.unknownFormat'));
+        return { type: 'unknown', valid: false, checksum: null, problems };
+    }
+
+    const body = compact.slice(format.prefix.length);
+    const wellFormed = body.length === format.length && format.pattern.test(body);
+
+    if (body.length < format.length) {
+        problems.push(t('tokens.truncated', { count: format.length - body.length }));
+    } else if (body.length > format.length) {
+        problems.push(t('tokens.tooLong', { count: body.length - format.length }));
+    } else if (!format.pattern.test(body)) {
+        problems.push(t('tokens.characters'));
+    }
+
+    // Сумму проверяем только у целого токена, иначе она не совпадёт заведомо
+    let checksum = null;
+    if (format.checksum && wellFormed) {
+        checksum = verifyTokenChecksum(body);
+        if (!checksum) {
+            problems.push(t('tokens.checksum'));
+        }
+    }
+
+    return { type: format.type, valid: problems.length === 0, checksum, problems };
+}
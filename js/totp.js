@@ -3,18 +3,27 @@
  * Implements RFC 6238 for generating 2FA codes
  */
 
+import { t } from './i18n.js';
+
 /**
  * Base32 alphabet
  */
 const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
 
+/**
+ * Minimum shared secret length (RFC 4226, section 4)
+ */
+const MIN_SECRET_BITS = 80;
+
 /**
  * Decode base32 string to Uint8Array
+ * Whitespace, letter case and trailing padding are ignored
  * @param {string} str - Base32 encoded string
  * @returns {Uint8Array}
+ * @throws {Error} - On characters outside the base32 alphabet
  */
-function base32Decode(str) {
-    str = str.toUpperCase().replace(/[^A-Z2-7]/g, '');
+export function base32Decode(str) {
+    str = str.toUpperCase().replace(/\s/g, '').replace(/=+$/, '');
     
     const output = [];
     let bits = 0;
@@ -22,7 +31,9 @@ function base32Decode(str) {
     
     for (let i = 0; i < str.length; i++) {
         const idx = BASE32_ALPHABET.indexOf(str[i]);
-        if (idx === -1) continue;
+        if (idx === -1) {
+            throw new Error(`Invalid base32 character: ${str[i]}`);
+        }
         
         value = (value << 5) | idx;
         bits += 5;
@@ -36,6 +47,82 @@ function base32Decode(str) {
     return new Uint8Array(output);
 }
 
+/**
+ * Encode bytes as base32 string without padding
+ * @param {Uint8Array|Array<number>} bytes - Raw bytes
+ * @returns {string}
+ */
+export function base32Encode(bytes) {
+    let output = '';
+    let bits = 0;
+    let value = 0;
+    
+    for (const byte of bytes) {
+        value = ((value << 8) | byte) & 0xfff;
+        bits += 8;
+        
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 0x1f];
+            bits -= 5;
+        }
+    }
+    
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 0x1f];
+    }
+    
+    return output;
+}
+
+/**
+ * Validate and normalise base32 secret
+ * Whitespace and letter case are normalised silently, anything that
+ * would change the decoded key is reported
+ * @param {string} secret - Secret as entered
+ * @returns {{secret: string, bits: number, problems: Array<string>}} - secret is
+ *   uppercase without whitespace and padding, bits is the decoded key size
+ */
+export function validateSecret(secret) {
+    const problems = [];
+    const compact = String(secret || '').replace(/\s/g, '').toUpperCase();
+    const padding = compact.match(/=*$/)[0].length;
+    const body = compact.slice(0, compact.length - padding);
+    
+    if (!body) {
+        problems.push(t('secret.empty'));
+        return { secret: '', bits: 0, problems };
+    }
+    
+    const invalid = [...new Set(body.replace(/[A-Z2-7=]/g, ''))];
+    if (invalid.length > 0) {
+        problems.push(t('secret.characters', { chars: invalid.join(' ') }));
+    }
+    
+    // Base32 groups 8 characters into 5 bytes, a last group of 1, 3 or 6
+    // characters cannot come from whole bytes
+    if (body.includes('=') || (padding > 0 && padding !== (8 - body.length % 8) % 8)) {
+        problems.push(t('secret.padding'));
+    } else if (invalid.length === 0 && [1, 3, 6].includes(body.length % 8)) {
+        problems.push(t('secret.length'));
+    }
+    
+    const bits = Math.floor(body.length * 5 / 8) * 8;
+    if (invalid.length === 0 && bits < MIN_SECRET_BITS) {
+        problems.push(t('secret.short', { bits, min: MIN_SECRET_BITS }));
+    }
+    
+    return { secret: body, bits, problems };
+}
+
+/**
+ * Split secret into 4-character groups for reading
+ * @param {string} secret - Normalised secret
+ * @returns {string} - e.g. "JBSW Y3DP EHPK 3PXP"
+ */
+export function formatSecret(secret) {
+    return (secret.match(/.{1,4}/g) || []).join(' ');
+}
+
 /**
  * Convert number to 8-byte big-endian buffer
  * @param {number} num - Number to convert
@@ -51,16 +138,41 @@ function intToBytes(num) {
 }
 
 /**
- * Generate HMAC-SHA1 hash using Web Crypto API
+ * Supported HMAC algorithms (otpauth name -> Web Crypto name)
+ */
+const HMAC_ALGORITHMS = {
+    SHA1: 'SHA-1',
+    SHA256: 'SHA-256',
+    SHA512: 'SHA-512'
+};
+
+/**
+ * Normalize algorithm name from otpauth URL (e.g. "sha-256" -> "SHA256")
+ * @param {string} algorithm - Algorithm name
+ * @returns {string|null} - Normalized name or null if unsupported
+ */
+export function normalizeAlgorithm(algorithm) {
+    const name = String(algorithm || 'SHA1').toUpperCase().replace(/-/g, '');
+    return HMAC_ALGORITHMS[name] ? name : null;
+}
+
+/**
+ * Generate HMAC using Web Crypto API
  * @param {Uint8Array} key - Secret key
  * @param {Uint8Array} message - Message to hash
+ * @param {string} [algorithm='SHA1'] - SHA1, SHA256 or SHA512
  * @returns {Promise<Uint8Array>}
  */
-async function hmacSha1(key, message) {
+async function hmac(key, message, algorithm = 'SHA1') {
+    const hash = HMAC_ALGORITHMS[normalizeAlgorithm(algorithm)];
+    if (!hash) {
+        throw new Error(`Unsupported algorithm: ${algorithm}`);
+    }
+    
     const cryptoKey = await crypto.subtle.importKey(
         'raw',
         key,
-        { name: 'HMAC', hash: 'SHA-1' },
+        { name: 'HMAC', hash },
         false,
         ['sign']
     );
@@ -70,32 +182,76 @@ async function hmacSha1(key, message) {
 }
 
 /**
- * Generate TOTP code
+ * Generate HOTP code (RFC 4226)
  * @param {string} secret - Base32 encoded secret
- * @param {number} [timeStep=30] - Time step in seconds
+ * @param {number} counter - Moving factor
  * @param {number} [digits=6] - Number of digits in code
+ * @param {string} [algorithm='SHA1'] - HMAC algorithm
  * @returns {Promise<string>}
  */
-export async function generateTOTP(secret, timeStep = 30, digits = 6) {
+export async function generateHOTP(secret, counter, digits = 6, algorithm = 'SHA1') {
     const key = base32Decode(secret);
-    const time = Math.floor(Date.now() / 1000);
-    const counter = Math.floor(time / timeStep);
-    
     const counterBytes = intToBytes(counter);
-    const hmac = await hmacSha1(key, counterBytes);
+    const hash = await hmac(key, counterBytes, algorithm);
     
     // Dynamic truncation
-    const offset = hmac[hmac.length - 1] & 0x0f;
+    const offset = hash[hash.length - 1] & 0x0f;
     const binary = 
-        ((hmac[offset] & 0x7f) << 24) |
-        ((hmac[offset + 1] & 0xff) << 16) |
-        ((hmac[offset + 2] & 0xff) << 8) |
-        (hmac[offset + 3] & 0xff);
+        ((hash[offset] & 0x7f) << 24) |
+        ((hash[offset + 1] & 0xff) << 16) |
+        ((hash[offset + 2] & 0xff) << 8) |
+        (hash[offset + 3] & 0xff);
     
     const otp = binary % Math.pow(10, digits);
     return otp.toString().padStart(digits, '0');
 }
 
+/**
+ * Generate TOTP code
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} [timeStep=30] - Time step in seconds
+ * @param {number} [digits=6] - Number of digits in code
+ * @param {string} [algorithm='SHA1'] - HMAC algorithm
+ * @param {number} [now=Date.now()] - Time to generate the code for (ms)
+ * @returns {Promise<string>}
+ */
+export async function generateTOTP(secret, timeStep = 30, digits = 6, algorithm = 'SHA1', now = Date.now()) {
+    const time = Math.floor(now / 1000);
+    const counter = Math.floor(time / timeStep);
+    return generateHOTP(secret, counter, digits, algorithm);
+}
+
+/**
+ * Find the time step a TOTP code belongs to
+ * Closest steps are checked first, so the smallest drift is reported
+ * @param {string} code - Code to check, spaces are ignored
+ * @param {string} secret - Base32 encoded secret
+ * @param {Object} [options]
+ * @param {number} [options.period=30] - Time step in seconds
+ * @param {number} [options.digits=6] - Number of digits in code
+ * @param {string} [options.algorithm='SHA1'] - HMAC algorithm
+ * @param {number} [options.window=1] - Steps checked before and after the current one
+ * @param {number} [options.now=Date.now()] - Reference time (ms)
+ * @returns {Promise<number|null>} - Step offset (positive if the code is from the future), null if not found
+ */
+export async function verifyTOTP(code, secret, { period = 30, digits = 6, algorithm = 'SHA1', window = 1, now = Date.now() } = {}) {
+    const candidate = String(code).replace(/\s/g, '');
+    if (!/^\d+$/.test(candidate) || candidate.length !== digits) return null;
+    
+    const counter = Math.floor(Math.floor(now / 1000) / period);
+    
+    for (let distance = 0; distance <= window; distance++) {
+        for (const step of distance === 0 ? [0] : [-distance, distance]) {
+            if (counter + step < 0) continue;
+            if (await generateHOTP(secret, counter + step, digits, algorithm) === candidate) {
+                return step;
+            }
+        }
+    }
+    
+    return null;
+}
+
 /**
  * Get time remaining until next code
  * @param {number} [timeStep=30] - Time step in seconds
@@ -108,37 +264,122 @@ export function getTimeRemaining(timeStep = 30) {
 
 /**
  * Generate OTP Auth URL for QR code
+ * Non-default parameters are only added when they differ from the
+ * defaults, so that plain TOTP URLs stay short and widely compatible
  * @param {string} secret - Base32 secret
  * @param {string} account - Account name
  * @param {string} issuer - Issuer name
+ * @param {Object} [params] - OTP parameters
+ * @param {string} [params.type='totp'] - totp or hotp
+ * @param {string} [params.algorithm='SHA1'] - HMAC algorithm
+ * @param {number} [params.digits=6] - Number of digits
+ * @param {number} [params.period=30] - Time step (TOTP)
+ * @param {number} [params.counter=0] - Counter (HOTP)
  * @returns {string}
  */
-export function generateOTPAuthURL(secret, account, issuer = 'GitHub') {
-    return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(account)}?secret=${secret}&issuer=${encodeURIComponent(issuer)}`;
+export function generateOTPAuthURL(secret, account, issuer = 'GitHub', params = {}) {
+    const { type = 'totp', algorithm = 'SHA1', digits = 6, period = 30, counter = 0 } = params;
+    
+    let url = `otpauth://${type}/${encodeURIComponent(issuer)}:${encodeURIComponent(account)}?secret=${secret}&issuer=${encodeURIComponent(issuer)}`;
+    
+    if (normalizeAlgorithm(algorithm) !== 'SHA1') {
+        url += `&algorithm=${normalizeAlgorithm(algorithm)}`;
+    }
+    if (digits !== 6) {
+        url += `&digits=${digits}`;
+    }
+    if (type === 'hotp') {
+        url += `&counter=${counter}`;
+    } else if (period !== 30) {
+        url += `&period=${period}`;
+    }
+    
+    return url;
 }
 
 /**
  * Parse OTP Auth URL
- * @param {string} url - OTP Auth URL
- * @returns {Object|null}
+ * @param {string} url - OTP Auth URL (otpauth://totp/... or otpauth://hotp/...)
+ * @returns {Object|null} - Parsed parameters or null if invalid
  */
 export function parseOTPAuthURL(url) {
     try {
-        const match = url.match(/otpauth:\/\/totp\/([^?]+)\?(.+)/);
+        const match = String(url).trim().match(/^otpauth:\/\/(totp|hotp)\/([^?]*)\?(.+)$/i);
         if (!match) return null;
         
-        const label = decodeURIComponent(match[1]);
-        const params = new URLSearchParams(match[2]);
+        const type = match[1].toLowerCase();
+        const label = decodeURIComponent(match[2]);
+        const params = new URLSearchParams(match[3]);
+        
+        const secret = (params.get('secret') || '').replace(/\s/g, '').toUpperCase();
+        const algorithm = normalizeAlgorithm(params.get('algorithm'));
+        const digits = parseInt(params.get('digits') || '6', 10);
+        const period = parseInt(params.get('period') || '30', 10);
+        const counter = parseInt(params.get('counter') || '0', 10);
+        
+        if (!secret || !algorithm) return null;
+        if (!(digits >= 6 && digits <= 8)) return null;
+        if (!(period > 0) || !(counter >= 0)) return null;
+        
+        // Label is "Issuer:account" or just "account"
+        const separator = label.indexOf(':');
+        const labelIssuer = separator >= 0 ? label.slice(0, separator).trim() : '';
+        const account = separator >= 0 ? label.slice(separator + 1).trim() : label.trim();
         
         return {
+            type,
             label,
-            secret: params.get('secret'),
-            issuer: params.get('issuer') || '',
-            algorithm: params.get('algorithm') || 'SHA1',
-            digits: parseInt(params.get('digits') || '6'),
-            period: parseInt(params.get('period') || '30')
+            account,
+            secret,
+            issuer: params.get('issuer') || labelIssuer,
+            algorithm,
+            digits,
+            period,
+            counter
         };
     } catch (e) {
         return null;
     }
 }
+
+/**
+ * Resolve OTP parameters from a credential value
+ * Accepts either a bare base32 secret or a complete otpauth:// URI.
+ * The secret is validated; codes must not be generated while
+ * problems is non-empty
+ * @param {string} value - Secret or otpauth URI
+ * @param {string} [account=''] - Fallback account name
+ * @param {string} [issuer='GitHub'] - Fallback issuer
+ * @returns {Object|null} - OTP parameters with problems, or null if the URI is invalid
+ */
+export function resolveOTPParams(value, account = '', issuer = 'GitHub') {
+    const trimmed = String(value || '').trim();
+    if (!trimmed) return null;
+    
+    if (/^otpauth:/i.test(trimmed)) {
+        const parsed = parseOTPAuthURL(trimmed);
+        if (!parsed) return null;
+        const { secret, problems } = validateSecret(parsed.secret);
+        return {
+            ...parsed,
+            secret,
+            problems,
+            account: parsed.account || account,
+            issuer: parsed.issuer || issuer
+        };
+    }
+    
+    const { secret, problems } = validateSecret(trimmed);
+    return {
+        type: 'totp',
+        label: `${issuer}:${account}`,
+        account,
+        secret,
+        problems,
+        issuer,
+        algorithm: 'SHA1',
+        digits: 6,
+        period: 30,
+        counter: 0
+    };
+}
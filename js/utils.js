@@ -3,6 +3,7 @@
  */
 
 import { Icons } from './icons.js';
+import { t, getLocaleTag, getTimeZone } from './i18n.js';
 
 /**
  * Escape HTML special characters to prevent XSS attacks
@@ -25,24 +26,245 @@ export function escapeHtml(text) {
 
 /**
  * Format a date string to a localized format
+ * Uses the chosen locale and time zone
  * @param {string} dateString - ISO date string
  * @returns {string} - Formatted date string
  */
 export function formatDate(dateString) {
-    if (!dateString) return 'Unknown';
+    if (!dateString) return t('common.unknown');
     
     const date = new Date(dateString);
     const options = { 
         year: 'numeric', 
         month: 'long', 
-        day: 'numeric' 
+        day: 'numeric',
+        timeZone: getTimeZone()
     };
     
-    return date.toLocaleDateString('ru-RU', options);
+    return date.toLocaleDateString(getLocaleTag(), options);
+}
+
+/**
+ * Format a timestamp as localized date and time
+ * @param {number|string|Date} value - Timestamp (ms), ISO string or Date
+ * @returns {string} - Formatted date and time
+ */
+export function formatDateTime(value) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return t('common.unknown');
+    
+    return date.toLocaleString(getLocaleTag(), {
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone: getTimeZone()
+    });
+}
+
+/**
+ * Format byte count as human-readable size
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - e.g. "12.3 MB"
+ */
+export function formatBytes(bytes) {
+    const units = ['units.b', 'units.kb', 'units.mb', 'units.gb'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    const number = value.toLocaleString(getLocaleTag(), { maximumFractionDigits: unit === 0 ? 0 : 1 });
+    return `${number} ${t(units[unit])}`;
+}
+
+/**
+ * Encode bytes as URL-safe base64 without padding
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - base64url string
+ */
+export function base64UrlEncode(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode URL-safe (or standard) base64 into bytes
+ * @param {string} str - base64url string
+ * @returns {Uint8Array}
+ */
+export function base64UrlDecode(str) {
+    const normalized = str.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(normalized + '='.repeat((4 - normalized.length % 4) % 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * localStorage key of the clipboard auto-clear delay
+ */
+const CLIPBOARD_CLEAR_KEY = 'checkghp:clipboardClear';
+
+/**
+ * Auto-clear delays offered in settings (seconds), 0 keeps the clipboard
+ */
+export const CLIPBOARD_CLEAR_OPTIONS = [0, 15, 30, 60, 120];
+
+const DEFAULT_CLIPBOARD_CLEAR = 30;
+
+// Pending auto-clear: { text, timer, copiedLater, leftPage, onCopy, onBlur }, replaced by every new copy
+let pendingClear = null;
+
+/**
+ * Get clipboard auto-clear delay
+ * @returns {number} - Seconds, 0 if disabled
+ */
+export function getClipboardClearDelay() {
+    try {
+        const saved = localStorage.getItem(CLIPBOARD_CLEAR_KEY);
+        if (saved !== null && CLIPBOARD_CLEAR_OPTIONS.includes(Number(saved))) {
+            return Number(saved);
+        }
+    } catch (e) {
+        // Storage disabled
+    }
+    return DEFAULT_CLIPBOARD_CLEAR;
+}
+
+/**
+ * Save clipboard auto-clear delay
+ * @param {number} seconds - One of CLIPBOARD_CLEAR_OPTIONS, 0 disables
+ */
+export function setClipboardClearDelay(seconds) {
+    try {
+        localStorage.setItem(CLIPBOARD_CLEAR_KEY, String(seconds));
+    } catch (e) {
+        // Storage disabled, the choice lasts until reload
+    }
+}
+
+/**
+ * Cancel pending clipboard auto-clear
+ */
+function cancelClipboardClear() {
+    if (pendingClear) {
+        clearInterval(pendingClear.timer);
+        document.removeEventListener('copy', pendingClear.onCopy);
+        document.removeEventListener('cut', pendingClear.onCopy);
+        window.removeEventListener('blur', pendingClear.onBlur);
+        pendingClear = null;
+    }
+}
+
+/**
+ * Check whether the clipboard can be read without a permission prompt
+ * @returns {Promise<boolean>}
+ */
+async function canReadClipboard() {
+    try {
+        const status = await navigator.permissions.query({ name: 'clipboard-read' });
+        return status.state === 'granted';
+    } catch (e) {
+        // Firefox and Safari don't expose this permission
+        return false;
+    }
+}
+
+/**
+ * Clear clipboard unless something else was copied since
+ * Reading the clipboard from a timer prompts for permission (or shows a
+ * "Paste" popup), so it is only read when access is already granted.
+ * Otherwise it is cleared only if the page kept focus for the whole
+ * countdown: a copy in another app or tab can't be told apart from ours
+ * Clipboard API needs a focused document, so it waits for the user to return
+ * @param {Object} entry - Pending clear
+ */
+async function clearClipboard(entry) {
+    if (pendingClear !== entry) return;
+    
+    const readable = await canReadClipboard();
+    if (pendingClear !== entry) return;
+    
+    // Что-то скопировано на странице после нас — не трогаем
+    if (entry.copiedLater) {
+        cancelClipboardClear();
+        hideToast();
+        return;
+    }
+    if (!readable && (entry.leftPage || !document.hasFocus())) {
+        cancelClipboardClear();
+        showToast(t('clipboard.kept'), { duration: 5000 });
+        return;
+    }
+    if (!document.hasFocus()) {
+        showToast(t('clipboard.onReturn'), { duration: 0 });
+        window.addEventListener('focus', () => clearClipboard(entry), { once: true });
+        return;
+    }
+    cancelClipboardClear();
+    
+    try {
+        if (readable && await navigator.clipboard.readText() !== entry.text) {
+            hideToast();
+            return;
+        }
+        await navigator.clipboard.writeText('');
+        showToast(t('clipboard.cleared'));
+    } catch (err) {
+        console.error('Failed to clear clipboard:', err);
+        showToast(t('clipboard.failed'), { duration: 5000 });
+    }
+}
+
+/**
+ * Count down in the toast, then clear the clipboard
+ * @param {string} text - Copied text
+ * @param {number} seconds - Delay
+ */
+function scheduleClipboardClear(text, seconds) {
+    cancelClipboardClear();
+    
+    const deadline = Date.now() + seconds * 1000;
+    const entry = { text, timer: null, copiedLater: false, leftPage: false, onCopy: null, onBlur: null };
+    
+    // Our writeText fires no copy event, so any copy or cut is the user's
+    entry.onCopy = () => {
+        entry.copiedLater = true;
+    };
+    // Away from the page the user may copy something we can't see
+    entry.onBlur = () => {
+        entry.leftPage = true;
+    };
+    document.addEventListener('copy', entry.onCopy);
+    document.addEventListener('cut', entry.onCopy);
+    window.addEventListener('blur', entry.onBlur);
+    
+    const tick = () => {
+        const left = Math.ceil((deadline - Date.now()) / 1000);
+        if (left > 0) {
+            showToast(t('clipboard.countdown', { count: left }), { duration: 0 });
+            return;
+        }
+        clearInterval(entry.timer);
+        clearClipboard(entry);
+    };
+    
+    pendingClear = entry;
+    entry.timer = setInterval(tick, 1000);
+    tick();
 }
 
 /**
  * Copy text to clipboard with visual feedback
+ * Schedules auto-clear unless disabled in settings
  * @param {string} text - Text to copy
  * @param {HTMLElement} button - Button element to animate
  */
@@ -60,26 +282,66 @@ export function copyToClipboard(text, button) {
             }, 2000);
         }
         
-        // Show toast notification
-        showToast('Скопировано в буфер обмена');
+        const delay = getClipboardClearDelay();
+        if (delay > 0) {
+            scheduleClipboardClear(text, delay);
+        } else {
+            cancelClipboardClear();
+            showToast(t('common.copied'));
+        }
     }).catch(err => {
         console.error('Failed to copy:', err);
-        showToast('Ошибка копирования');
+        showToast(t('common.copyFailed'));
     });
 }
 
+/**
+ * Offer generated content as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob} content - File content
+ * @param {string} [type='text/plain'] - MIME type
+ */
+export function downloadFile(filename, content, type = 'text/plain') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: `${type};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Pending toast hide
+let toastTimer = null;
+
 /**
  * Show a toast notification
+ * Repeated calls update the message in place and restart the timer
  * @param {string} message - Message to display
+ * @param {Object} [options]
+ * @param {number} [options.duration=2500] - Time shown (ms), 0 keeps it until replaced or hidden
  */
-export function showToast(message) {
+export function showToast(message, { duration = 2500 } = {}) {
     const toast = document.getElementById('toast');
     if (!toast) return;
     
     toast.innerHTML = `${Icons.check}<span>${escapeHtml(message)}</span>`;
     toast.classList.add('show');
     
-    setTimeout(() => {
-        toast.classList.remove('show');
-    }, 2500);
+    clearTimeout(toastTimer);
+    if (duration > 0) {
+        toastTimer = setTimeout(hideToast, duration);
+    }
+}
+
+/**
+ * Hide the toast notification
+ */
+export function hideToast() {
+    clearTimeout(toastTimer);
+    document.getElementById('toast')?.classList.remove('show');
 }
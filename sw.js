@@ -0,0 +1,146 @@
+/**
+ * Service Worker
+ * Precaches the page so the TOTP generator and the log analyzer work
+ * without a connection. The files are cached and served as one version:
+ * a page never mixes modules of two deploys, even for files it loads
+ * late such as js/logs.worker.js
+ *
+ * A deploy changes the hashes below (node bin/precache.js), the browser
+ * then installs the new version next to the old one, and the page offers
+ * to switch once it is complete
+ *
+ * Lives in the root so that its scope covers index.html
+ */
+
+// precache:start (generated by bin/precache.js, do not edit)
+
+/**
+ * Version of the precached files, changes whenever any of them changes
+ */
+const PRECACHE_VERSION = 'd35656184a8b4468';
+
+/**
+ * Everything the page needs, relative to the worker, with SHA-256 prefixes of the contents
+ */
+const PRECACHE = {
+    './css/styles.css': 'e628d54cdfe2f598',
+    './icon/google.auth.webp': '38bbfd6ad287e116',
+    './icon/icon.svg': 'bcb78e84c63deee7',
+    './icon/yandex.key.webp': 'f054843b86bbd502',
+    './index.html': 'cb77386cec1cf0fe',
+    './js/analyzer.js': '0d8c88942a8aa2f0',
+    './js/app.js': 'cee9a7946c6d8cf8',
+    './js/backups.js': '383e351e0b78625c',
+    './js/baseline.js': '79f6c3b80768fff7',
+    './js/countries.js': 'a03d3b57f0dfe4c1',
+    './js/credentials.js': '24801218a1c1258e',
+    './js/formats.js': '57df7abdf33407b3',
+    './js/hotp.js': '1c92be856aefb8e7',
+    './js/i18n.js': 'b381331722740b95',
+    './js/icons.js': '41531c206ac754b1',
+    './js/locales/en.js': '83933d48ada3667c',
+    './js/locales/ru.js': '2e1c5d24507b5a6c',
+    './js/locations.js': 'afee7fa83bd03ff7',
+    './js/logs.js': '56b6e88c012f5e3b',
+    './js/logs.worker.js': '4a2a87a8a960a951',
+    './js/migration.js': 'b4ab812ac296d41d',
+    './js/pwa.js': 'f6bc7357bec20541',
+    './js/qrcode.js': '0670d10e2e58b521',
+    './js/qrdecode.js': 'd1d595c17c687fe8',
+    './js/recovery.js': '477570ad579d1bbb',
+    './js/report.js': '7262f7f3833d38d6',
+    './js/rules.js': '54565a6f3f7e4f4e',
+    './js/scheduler.js': 'bf8ba2682a8a9d6f',
+    './js/scrub.js': '080b3b6455b4c2fe',
+    './js/seal.js': 'd756efbda856eb84',
+    './js/sha256.js': 'bd35b7e2625575e4',
+    './js/timeline.js': '243e0e2d9e9c8a1e',
+    './js/tokens.js': '45ed0e5f7edddd70',
+    './js/totp.js': '70691f041b384559',
+    './js/utils.js': 'f3790a2cb495306f',
+    './manifest.webmanifest': '887ecf1fe628caed'
+};
+
+// precache:end
+
+/**
+ * Prefix of caches owned by this page
+ */
+const CACHE_PREFIX = 'checkghp-';
+
+/**
+ * Cache of this version
+ */
+const CACHE_NAME = `${CACHE_PREFIX}${PRECACHE_VERSION}`;
+
+/**
+ * Hex SHA-256 prefix of a body, as written by bin/precache.js
+ * @param {ArrayBuffer} body - Response body
+ * @returns {Promise<string>}
+ */
+async function hashPrefix(body) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', body));
+    return Array.from(digest.subarray(0, 8), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Get cache key of a request
+ * The credentials fragment never reaches the worker: browsers strip it from request URLs
+ * @param {Request} request - Intercepted request
+ * @returns {string|null} - Absolute URL, null if the request is not ours to handle
+ */
+function getCacheKey(request) {
+    const url = new URL(request.url);
+    const scope = new URL(self.registration.scope);
+    if (request.method !== 'GET' || url.origin !== scope.origin) return null;
+
+    // Страница открывается как "/", "/index.html" или с query — в кэше она одна
+    if (request.mode === 'navigate') {
+        return url.pathname === scope.pathname || url.pathname === `${scope.pathname}index.html`
+            ? new URL('index.html', scope).href
+            : null;
+    }
+    return url.href;
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+
+        await Promise.all(Object.entries(PRECACHE).map(async ([url, hash]) => {
+            // Bypass the HTTP cache, it may still hold files of the previous version
+            const response = await fetch(new Request(url, { cache: 'reload' }));
+            if (!response.ok) {
+                throw new Error(`${url}: HTTP ${response.status}`);
+            }
+            // Half-finished deploy: install fails and is retried on the next visit
+            if (await hashPrefix(await response.clone().arrayBuffer()) !== hash) {
+                throw new Error(`${url}: content does not match the precache manifest`);
+            }
+            await cache.put(url, response);
+        }));
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const stale = (await caches.keys()).filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME);
+        await Promise.all(stale.map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// The page asks to switch to this version once the user agreed
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'skipWaiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const key = getCacheKey(event.request);
+    if (!key) return;
+
+    // Only this version's cache: a flaky connection must not delay the page or mix versions
+    event.respondWith(caches.match(key, { cacheName: CACHE_NAME }).then(cached => cached || fetch(event.request)));
+});